@@ -1,11 +1,18 @@
-import { IgApiClient } from 'instagram-private-api';
+import { IgApiClient, IgCheckpointError, IgLoginTwoFactorRequiredError } from 'instagram-private-api';
 import { withRealtime } from 'instagram_mqtt';
-import { GraphQLSubscriptions, SkywalkerSubscriptions } from 'instagram_mqtt';
+import { GraphQLSubscriptions, SkywalkerSubscriptions, ClientDisconnectedError } from 'instagram_mqtt';
 import { promises as fs } from 'fs';
 import tough from 'tough-cookie';
 import { ModuleManager } from './module-manager.js';
 import { MessageHandler } from './message-handler.js';
+import { createSessionStore, migrateFileSessionToMongo } from './session-store.js';
+import { ConnectionSupervisor } from './connection-supervisor.js';
+import { ProcessedItemStore } from './processed-store.js';
+import { OutboundQueue } from './outbound-queue.js';
+import { PermissionManager } from './permissions.js';
+import { BotEventBus } from './event-bus.js';
 import { config } from '../config.js';
+import { randomUtils, logger } from '../utils/utils.js';
 
 /**
  * InstagramBot class to manage Instagram interactions via the private API and MQTT.
@@ -16,28 +23,49 @@ class InstagramBot {
    */
   constructor() {
     this.ig = withRealtime(new IgApiClient());
+    this.logger = logger.child({ component: 'instagram' });
+    this.sessionStore = null;
+    this.sessionSaveTimer = null;
+    this.sessionSaveDelayMs = 60 * 1000; // Cookie refreshes are written at most this often
+    this.codeProvider = null;
+    this.connectionSupervisor = new ConnectionSupervisor(this);
+    this.outboundQueue = new OutboundQueue(); // Every send to Instagram goes through here
+    this.lastProcessedTimestamp = null; // Newest handled item timestamp (microseconds), for catch-up after reconnects
+    this.maxCodeAttempts = 3;
     this.messageHandlers = [];
     this.isRunning = false;
-    this.lastMessageCheck = new Date(Date.now() - 60000);
-    this.processedMessageIds = new Set();
+    this.processedMessageIds = new Set(); // Recent IDs, in front of the persistent store
+    this.processedStore = new ProcessedItemStore();
+    this.processedStoreReady = false;
+    this.permissions = new PermissionManager(this);
     this.maxProcessedMessageIds = 1000;
     this.userCache = new Map(); // Cache for user info
+    this.events = new BotEventBus(); // Typing, seen, presence, item/thread updates, live and connection events
+    this.threadCache = new Map(); // Cache for thread title, group flag and participants
+    this.threadCacheTtl = 10 * 60 * 1000;
+    this.sentItemOrigins = new Map(); // Item ID -> where our own sent item came from ('bot' or 'telegram')
+    this.maxSentItemOrigins = 1000;
+    this.outgoingEchoDelayMs = 2000;
+    this.pendingRequestHandlers = [];
+    this.pendingInboxHandlers = [];
+    this.pendingPollTimer = null;
+    this.checkingPendingInbox = false;
+    this.announcedRequests = new Set(); // Pending thread IDs already handed to request handlers
   }
 
   /**
-   * Logs messages with timestamp and log level.
+   * Logs through the shared logger, tagged with the Instagram component.
    * @param {string} level - Log level (INFO, WARN, ERROR, DEBUG, TRACE).
    * @param {string} message - The message to log.
    * @param {...any} args - Additional arguments to log.
    */
   log(level, message, ...args) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${level}] ${message}`, ...args);
+    this.logger[level.toLowerCase()](message, ...args);
   }
 
   /**
-   * Logs in to Instagram using session or cookies.
-   * @throws {Error} If login fails due to missing credentials or invalid session/cookies.
+   * Logs in to Instagram using the saved session, then cookies.json, then username and password.
+   * @throws {Error} If every login method fails.
    */
   async login() {
     try {
@@ -49,15 +77,21 @@ class InstagramBot {
       this.ig.state.generateDevice(username); // Simulates mobile device
       let loginSuccess = false;
 
+      this.sessionStore = createSessionStore(username);
+      if (config.instagram?.useMongoSession) {
+        await migrateFileSessionToMongo(username);
+      }
+
       // Attempt login with session
       try {
-        await fs.access('./session.json');
-        this.log('INFO', 'Found session.json, attempting session-based login...');
-        const sessionData = JSON.parse(await fs.readFile('./session.json', 'utf-8'));
-        await this.ig.state.deserialize(sessionData);
-        await this.ig.account.currentUser();
-        this.log('INFO', 'Logged in from session.json');
-        loginSuccess = true;
+        const sessionData = await this.sessionStore.load();
+        if (sessionData) {
+          this.log('INFO', `Found saved session (${this.sessionStore.name}), attempting session-based login...`);
+          await this.ig.state.deserialize(sessionData);
+          await this.ig.account.currentUser();
+          this.log('INFO', `Logged in from saved session (${this.sessionStore.name})`);
+          loginSuccess = true;
+        }
       } catch (sessionError) {
         this.log('WARN', 'Session login failed:', sessionError.message);
       }
@@ -69,49 +103,49 @@ class InstagramBot {
           await this.loadCookiesFromJson('./cookies.json');
           const user = await this.ig.account.currentUser();
           this.log('INFO', `Logged in using cookies.json as @${user.username}`);
-          const session = await this.ig.state.serialize();
-          delete session.constants;
-          await fs.writeFile('./session.json', JSON.stringify(session, null, 2));
-          this.log('INFO', 'Session saved to session.json');
           loginSuccess = true;
         } catch (cookieError) {
-          this.log('ERROR', 'Failed to login with cookies:', cookieError.message);
-          throw new Error(`Cookie login failed: ${cookieError.message}`);
+          this.log('WARN', 'Failed to login with cookies:', cookieError.message);
         }
       }
 
+      // Last resort: username and password, asking for 2FA or challenge codes if Instagram wants them
+      if (!loginSuccess && config.instagram?.password) {
+        await this.loginWithCredentials(username, config.instagram.password);
+        loginSuccess = true;
+      }
+
       if (!loginSuccess) {
         throw new Error('No valid login method succeeded');
       }
 
+      await this.saveSession();
+      // Instagram refreshes cookies on ordinary requests; keep the stored copy current
+      this.ig.request.end$.subscribe(() => this.scheduleSessionSave());
+
+      try {
+        await this.processedStore.initialize();
+        this.processedStoreReady = true;
+      } catch (error) {
+        this.log('WARN', 'Persistent deduplication unavailable, falling back to memory only:', error.message);
+      }
+
+      try {
+        await this.permissions.initialize();
+      } catch (error) {
+        this.log('WARN', 'Roles could not be loaded, everyone except owners has the user role:', error.message);
+      }
+
       // Register handlers and connect to real-time
       this.registerRealtimeHandlers();
-      await this.ig.realtime.connect({
-        graphQlSubs: [
-          GraphQLSubscriptions.getAppPresenceSubscription(),
-          GraphQLSubscriptions.getZeroProvisionSubscription(this.ig.state.phoneId),
-          GraphQLSubscriptions.getDirectStatusSubscription(),
-          GraphQLSubscriptions.getDirectTypingSubscription(this.ig.state.cookieUserId),
-          GraphQLSubscriptions.getAsyncAdSubscription(this.ig.state.cookieUserId),
-        ],
-        skywalkerSubs: [
-          SkywalkerSubscriptions.directSub(this.ig.state.cookieUserId),
-          SkywalkerSubscriptions.liveSub(this.ig.state.cookieUserId),
-        ],
-        irisData: await this.ig.feed.directInbox().request(),
-        connectOverrides: {},
-        socksOptions: config.proxy ? {
-          type: config.proxy.type || 5,
-          host: config.proxy.host,
-          port: config.proxy.port,
-          userId: config.proxy.username,
-          password: config.proxy.password,
-        } : undefined,
-      });
+      await this.connectRealtime();
 
       // Simulate mobile app in foreground
       await this.setForegroundState(true, true, 60);
       this.isRunning = true;
+      this.lastProcessedTimestamp = Date.now() * 1000;
+      this.events.emit('connectionState', { state: 'connected' });
+      this.connectionSupervisor.start();
       this.log('INFO', 'Instagram bot is running and listening for messages');
     } catch (error) {
       this.log('ERROR', 'Failed to initialize bot:', error.message);
@@ -119,6 +153,172 @@ class InstagramBot {
     }
   }
 
+  /**
+   * Opens the realtime (MQTT) connection with direct message subscriptions.
+   * Also used by the connection supervisor to reconnect; handlers stay registered on the client.
+   */
+  async connectRealtime() {
+    await this.ig.realtime.connect({
+      // appPresence and typing events are only delivered for these subscriptions
+      graphQlSubs: [
+        GraphQLSubscriptions.getAppPresenceSubscription(),
+        GraphQLSubscriptions.getZeroProvisionSubscription(this.ig.state.phoneId),
+        GraphQLSubscriptions.getDirectStatusSubscription(),
+        GraphQLSubscriptions.getDirectTypingSubscription(this.ig.state.cookieUserId),
+        GraphQLSubscriptions.getAsyncAdSubscription(this.ig.state.cookieUserId),
+      ],
+      skywalkerSubs: [
+        SkywalkerSubscriptions.directSub(this.ig.state.cookieUserId),
+        SkywalkerSubscriptions.liveSub(this.ig.state.cookieUserId),
+      ],
+      irisData: await this.ig.feed.directInbox().request(),
+      connectOverrides: {},
+      socksOptions: config.proxy ? {
+        type: config.proxy.type || 5,
+        host: config.proxy.host,
+        port: config.proxy.port,
+        userId: config.proxy.username,
+        password: config.proxy.password,
+      } : undefined,
+    });
+  }
+
+  /**
+   * Registers the function asked for login codes during two-factor and checkpoint challenges.
+   * @param {Function} provider - Receives { kind: 'two_factor'|'challenge', message } and resolves to the code.
+   */
+  setCodeProvider(provider) {
+    this.codeProvider = provider;
+  }
+
+  /**
+   * Asks the code provider for a login code.
+   * @param {string} kind - 'two_factor' or 'challenge'.
+   * @param {string} message - What to tell the person entering the code.
+   * @returns {string} The code.
+   * @throws {Error} If no code provider is registered.
+   */
+  async requestLoginCode(kind, message) {
+    if (!this.codeProvider) {
+      throw new Error(`Instagram requires a ${kind.replace('_', '-')} code but no code provider (Telegram admin) is available`);
+    }
+    const code = await this.codeProvider({ kind, message });
+    return String(code).replace(/\s+/g, '');
+  }
+
+  /**
+   * Logs in with username and password, completing two-factor and checkpoint challenges.
+   * @param {string} username - The Instagram username.
+   * @param {string} password - The Instagram password.
+   * @throws {Error} If the login or the challenge fails.
+   */
+  async loginWithCredentials(username, password) {
+    this.log('INFO', `Attempting password login as @${username}...`);
+    try {
+      await this.ig.simulate.preLoginFlow();
+    } catch (error) {
+      this.log('DEBUG', 'Pre-login flow failed:', error.message);
+    }
+
+    try {
+      await this.ig.account.login(username, password);
+    } catch (error) {
+      if (error instanceof IgLoginTwoFactorRequiredError) {
+        await this.completeTwoFactorLogin(username, error.response.body.two_factor_info);
+      } else if (error instanceof IgCheckpointError) {
+        await this.completeCheckpoint(username);
+      } else {
+        this.log('ERROR', 'Password login failed:', error.message);
+        throw error;
+      }
+    }
+    this.log('INFO', `Logged in with password as @${username}`);
+  }
+
+  /**
+   * Finishes a login that stopped for a two-factor code.
+   * @param {string} username - The Instagram username.
+   * @param {object} twoFactorInfo - two_factor_info from the login error response.
+   */
+  async completeTwoFactorLogin(username, twoFactorInfo) {
+    const usesTotp = !!twoFactorInfo.totp_two_factor_on;
+    // Instagram's verification_method: '0' authenticator app, '1' SMS
+    const verificationMethod = usesTotp ? '0' : '1';
+    const source = usesTotp
+      ? 'your authenticator app'
+      : `the SMS sent to ${twoFactorInfo.obfuscated_phone_number || 'your phone'}`;
+
+    for (let attempt = 1; attempt <= this.maxCodeAttempts; attempt++) {
+      const code = await this.requestLoginCode('two_factor',
+        `🔐 Instagram two-factor login for @${username}: reply with the code from ${source}` +
+        (attempt > 1 ? ` (attempt ${attempt}/${this.maxCodeAttempts})` : ''));
+      try {
+        await this.ig.account.twoFactorLogin({
+          username,
+          verificationCode: code,
+          twoFactorIdentifier: twoFactorInfo.two_factor_identifier,
+          verificationMethod,
+          trustThisDevice: '1',
+        });
+        this.log('INFO', 'Two-factor login completed');
+        return;
+      } catch (error) {
+        this.log('WARN', `Two-factor code rejected (attempt ${attempt}):`, error.message);
+        if (attempt === this.maxCodeAttempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Finishes a login that stopped at a checkpoint by having Instagram send a security code.
+   * @param {string} username - The Instagram username.
+   */
+  async completeCheckpoint(username) {
+    this.log('WARN', 'Instagram requested a checkpoint challenge');
+    // Picks the account's default method (SMS or email) and sends the code
+    await this.ig.challenge.auto(true);
+
+    for (let attempt = 1; attempt <= this.maxCodeAttempts; attempt++) {
+      const code = await this.requestLoginCode('challenge',
+        `🛡️ Instagram security check for @${username}: reply with the code Instagram just sent by SMS or email` +
+        (attempt > 1 ? ` (attempt ${attempt}/${this.maxCodeAttempts})` : ''));
+      try {
+        await this.ig.challenge.sendSecurityCode(code);
+        this.log('INFO', 'Checkpoint challenge completed');
+        return;
+      } catch (error) {
+        this.log('WARN', `Security code rejected (attempt ${attempt}):`, error.message);
+        if (attempt === this.maxCodeAttempts) throw error;
+      }
+    }
+  }
+
+  /**
+   * Writes the current client state to the session store.
+   */
+  async saveSession() {
+    if (!this.sessionStore) return;
+    try {
+      const session = await this.ig.state.serialize();
+      delete session.constants;
+      await this.sessionStore.save(session);
+      this.log('DEBUG', `Session saved (${this.sessionStore.name})`);
+    } catch (error) {
+      this.log('ERROR', 'Failed to save session:', error.message);
+    }
+  }
+
+  /**
+   * Saves the session a little after a request completes, batching bursts of requests into one write.
+   */
+  scheduleSessionSave() {
+    if (this.sessionSaveTimer) return;
+    this.sessionSaveTimer = setTimeout(async () => {
+      this.sessionSaveTimer = null;
+      await this.saveSession();
+    }, this.sessionSaveDelayMs);
+  }
+
   /**
    * Loads cookies from a JSON file.
    * @param {string} path - Path to the cookies file.
@@ -162,12 +362,22 @@ class InstagramBot {
 
     // Handle direct messages
     this.ig.realtime.on('message', async (data) => {
-      this.log('DEBUG', 'Received message event:', JSON.stringify(data, null, 2));
+      this.log('TRACE', 'Received message event:', data);
       if (!data.message) {
         this.log('WARN', 'No message payload in event data');
         return;
       }
-      if (!this.isNewMessageById(data.message.item_id)) {
+      const directEvent = this.parseDirectEvent(data.message.path, data.message);
+      if (directEvent) {
+        await this.emitDirectEvent(directEvent);
+        return;
+      }
+      const itemUpdate = this.parseItemUpdate(data.message.op, data.message.path, data.message);
+      if (itemUpdate) {
+        await this.handleItemUpdate(itemUpdate);
+        return;
+      }
+      if (!await this.isNewMessageById(data.message.item_id, data.message.thread_id, data.message.timestamp)) {
         this.log('DEBUG', `Message ${data.message.item_id} filtered as duplicate`);
         return;
       }
@@ -176,48 +386,209 @@ class InstagramBot {
 
     // Handle other direct events
     this.ig.realtime.on('direct', async (data) => {
-      this.log('DEBUG', 'Received direct event:', JSON.stringify(data, null, 2));
-      if (data.message && this.isNewMessageById(data.message.item_id)) {
+      this.log('TRACE', 'Received direct event:', data);
+      const directEvent = this.parseDirectEvent(data.path, data.value);
+      const itemUpdate = !directEvent && this.parseItemUpdate(data.op, data.path, data.value);
+      if (directEvent) {
+        await this.emitDirectEvent(directEvent);
+      } else if (itemUpdate) {
+        await this.handleItemUpdate(itemUpdate);
+      } else if (data.message && await this.isNewMessageById(data.message.item_id, data.message.thread_id, data.message.timestamp)) {
         await this.handleMessage(data.message, data);
       } else {
-        this.log('DEBUG', 'Received non-message direct event:', JSON.stringify(data, null, 2));
+        this.log('TRACE', 'Received non-message direct event:', data);
+      }
+    });
+
+    // Inbox-level thread changes (renames, participants joining or leaving)
+    this.ig.realtime.on('threadUpdate', async (data) => {
+      this.log('TRACE', 'Received thread update:', data);
+      const threadId = data.meta?.thread_id || data.update?.thread_id;
+      if (threadId) {
+        await this.refreshThread(threadId, data.update?.users ? data.update : null);
       }
     });
 
-    // General receive event for debugging
-    this.ig.realtime.on('receive', (topic, messages) => {
-      const topicStr = String(topic || '');
+    // Who is active in the app, from the app presence subscription
+    this.ig.realtime.on('appPresence', async (data) => {
+      const presence = data?.presence_event;
+      if (!presence?.user_id) return;
+      await this.events.emit('presence', {
+        userId: presence.user_id.toString(),
+        isActive: !!presence.is_active,
+        lastActivityAt: presence.last_activity_at_ms ? new Date(parseInt(presence.last_activity_at_ms, 10)) : null,
+        threadIds: (presence.in_threads || []).map(String),
+      });
+    });
+
+    // General receive event; live notifications from the skywalker live subscription arrive on /pubsub
+    this.ig.realtime.on('receive', async (topic, messages) => {
+      const topicStr = String(topic?.path || topic || '');
+      if (topicStr.includes('pubsub')) {
+        for (const message of messages || []) {
+          const live = this.parseLiveNotification(message);
+          if (live) await this.events.emit('liveStarted', live);
+        }
+      }
       if (topicStr.includes('direct') || topicStr.includes('message') || topicStr.includes('iris')) {
-        this.log('DEBUG', `Received on topic: ${topicStr}`, JSON.stringify(messages, null, 2));
+        this.log('TRACE', `Received on topic: ${topicStr}`, messages);
       }
     });
 
-    // Connection lifecycle events
+    // Connection lifecycle events. A dropped link arrives as a ClientDisconnectedError, while
+    // 'disconnect' only fires on a deliberate disconnect; the connection supervisor sets isRunning
+    // again once it has reconnected
     this.ig.realtime.on('error', (err) => {
+      if (err instanceof ClientDisconnectedError) {
+        this.log('WARN', 'Realtime connection lost:', err.message);
+        this.isRunning = false;
+        this.events.emit('connectionState', { state: 'disconnected', reason: err.message });
+        return;
+      }
       this.log('ERROR', 'Realtime connection error:', err.message);
+      this.events.emit('connectionState', { state: 'error', reason: err?.message || null });
     });
 
-    this.ig.realtime.on('close', () => {
+    this.ig.realtime.on('disconnect', () => {
       this.log('WARN', 'Realtime connection closed');
       this.isRunning = false;
+      this.events.emit('connectionState', { state: 'disconnected' });
     });
+  }
 
-    this.ig.realtime.on('connect', () => {
-      this.log('INFO', 'Realtime connection established');
-      this.isRunning = true;
-    });
+  /**
+   * Classifies a direct patch as a typing indicator or seen receipt.
+   * @param {string} path - Patch path, e.g. /direct_v2/threads/{thread}/participants/{user}/has_seen.
+   * @param {object} value - Patch value.
+   * @returns {object|null} { type, payload } for the event bus, or null if the patch is neither.
+   */
+  parseDirectEvent(path, value) {
+    const typing = String(path || '').match(/^\/direct_v2\/threads\/(\d+)\/activity_indicator_id\/\w+$/);
+    if (typing) {
+      return {
+        type: 'typing',
+        payload: { threadId: typing[1], userId: value?.sender_id?.toString() || null, isTyping: value?.activity_status === 1 },
+      };
+    }
 
-    this.ig.realtime.on('reconnect', () => {
-      this.log('INFO', 'Realtime client is reconnecting');
-    });
+    const seen = String(path || '').match(/^\/direct_v2\/threads\/(\d+)\/participants\/(\d+)\/has_seen$/);
+    if (seen) {
+      return {
+        type: 'seen',
+        payload: {
+          threadId: seen[1],
+          userId: seen[2],
+          itemId: value?.item_id?.toString() || null,
+          seenAt: value?.timestamp ? new Date(parseInt(value.timestamp, 10) / 1000) : null,
+        },
+      };
+    }
+    return null;
+  }
+
+  async emitDirectEvent({ type, payload }) {
+    if (payload.userId && payload.userId === this.ig.state.cookieUserId?.toString()) return;
+    await this.events.emit(type, payload);
   }
 
   /**
-   * Checks if a message is new based on its ID.
+   * Reads a live broadcast notification from a /pubsub message. The payload layout is not
+   * documented, so fields are looked up defensively.
+   * @param {object} message - A parsed pubsub message.
+   * @returns {object|null} The liveStarted payload, or null if the message is not a live start.
+   */
+  parseLiveNotification(message) {
+    let data = message?.data ?? message;
+    try {
+      if (typeof data === 'string') data = JSON.parse(data);
+      if (typeof data?.payload === 'string') data = { ...data, ...JSON.parse(data.payload) };
+    } catch {
+      return null;
+    }
+
+    const broadcastId = data?.broadcast_id || data?.broadcast?.id;
+    if (!broadcastId || (data.event && !/start/i.test(data.event))) return null;
+    const user = data.user || data.broadcast_owner || data.broadcast?.broadcast_owner || {};
+    return {
+      userId: (user.pk || user.id || data.user_id)?.toString() || null,
+      username: user.username || null,
+      broadcastId: broadcastId.toString(),
+      raw: data,
+    };
+  }
+
+  /**
+   * Classifies a direct patch as an unsend, edit or reaction of an existing item.
+   * @param {string} op - Patch operation (add, replace, remove).
+   * @param {string} path - Patch path, e.g. /direct_v2/threads/{thread}/items/{item}/reactions/emojis/{user}.
+   * @param {object} value - Patch value.
+   * @returns {object|null} The item update, or null if the patch is not one.
+   */
+  parseItemUpdate(op, path, value) {
+    const match = String(path || '').match(/^\/direct_v2\/threads\/(\d+)\/items\/(\d+)(?:\/reactions\/(likes|emojis)\/(\d+))?$/);
+    if (!match) return null;
+
+    const [, threadId, itemId, reactionKind, reactorId] = match;
+    if (reactionKind) {
+      return {
+        kind: 'reaction',
+        threadId,
+        itemId,
+        userId: reactorId || value?.sender_id?.toString(),
+        emoji: reactionKind === 'likes' ? '❤️' : value?.emoji,
+        removed: op === 'remove',
+      };
+    }
+    if (op === 'remove') {
+      return { kind: 'unsend', threadId, itemId, userId: null };
+    }
+    // A replace on an item we already handled carries its edited content
+    if (op === 'replace' && this.processedMessageIds.has(itemId) && typeof value?.text === 'string') {
+      return { kind: 'edit', threadId, itemId, userId: value.user_id?.toString(), text: value.text };
+    }
+    return null;
+  }
+
+  /**
+   * Publishes an item update as `itemUpdated`, and reactions also as `reaction`.
+   * @param {object} update - The update from parseItemUpdate.
+   */
+  async handleItemUpdate(update) {
+    const botUserId = this.ig.state.cookieUserId;
+    if (update.userId && update.userId === botUserId?.toString()) {
+      this.log('DEBUG', `Ignoring ${update.kind} of item ${update.itemId} made by bot itself`);
+      return;
+    }
+    this.log('INFO', `Item ${update.itemId} in thread ${update.threadId}: ${update.kind}${update.emoji ? ` ${update.emoji}` : ''}${update.removed ? ' (removed)' : ''}`);
+    await this.events.emit('itemUpdated', update);
+    if (update.kind === 'reaction') {
+      const { kind, ...reaction } = update;
+      await this.events.emit('reaction', reaction);
+    }
+  }
+
+  /**
+   * Registers a handler for unsends, edits and reactions of existing items.
+   * Shorthand for `events.on('itemUpdated', handler)`.
+   * @param {Function} handler - The handler function.
+   */
+  onItemUpdate(handler) {
+    if (typeof handler === 'function') {
+      this.events.on('itemUpdated', handler);
+    } else {
+      this.log('WARN', 'Attempted to add non-function item update handler');
+    }
+  }
+
+  /**
+   * Checks if a message is new, first against recent IDs in memory, then the persistent store.
+   * Claims the message as processed when it is new.
    * @param {string} messageId - The message ID.
+   * @param {string} [threadId] - The thread ID, for the per-thread cursor.
+   * @param {string|number} [timestamp] - The item timestamp in microseconds, for the per-thread cursor.
    * @returns {boolean} True if the message is new.
    */
-  isNewMessageById(messageId) {
+  async isNewMessageById(messageId, threadId = null, timestamp = null) {
     if (!messageId) {
       this.log('WARN', 'Missing message ID');
       return false;
@@ -226,11 +597,29 @@ class InstagramBot {
       this.log('DEBUG', `Message ${messageId} already processed`);
       return false;
     }
+    // Added before the store round trip so a second delivery of the same event cannot slip past
     this.processedMessageIds.add(messageId);
     if (this.processedMessageIds.size > this.maxProcessedMessageIds) {
       const first = this.processedMessageIds.values().next().value;
       this.processedMessageIds.delete(first);
     }
+
+    if (this.processedStoreReady) {
+      try {
+        const claimed = await this.processedStore.claim(
+          messageId.toString(),
+          threadId?.toString() || null,
+          timestamp ? parseInt(timestamp, 10) : null
+        );
+        if (!claimed) {
+          this.log('DEBUG', `Message ${messageId} was processed before a restart or replayed`);
+          return false;
+        }
+      } catch (error) {
+        this.log('WARN', `Could not record message ${messageId} as processed:`, error.message);
+      }
+    }
+
     this.log('DEBUG', `New message ID: ${messageId}`);
     return true;
   }
@@ -257,6 +646,58 @@ class InstagramBot {
     }
   }
 
+  /**
+   * Looks up a user by exact username.
+   * @param {string} username - The username, with or without a leading @.
+   * @returns {object|null} The user ({ id, username, fullName }) or null if not found.
+   */
+  async findUserByUsername(username) {
+    try {
+      const user = await this.ig.user.searchExact(username.replace(/^@/, ''));
+      this.userCache.set(user.pk, user.username);
+      return { id: user.pk.toString(), username: user.username, fullName: user.full_name || null };
+    } catch (error) {
+      this.log('WARN', `Could not find Instagram user @${username}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Finds the existing one-to-one thread with a user.
+   * @param {string} userId - The Instagram user ID.
+   * @returns {string|null} The thread ID, or null if we never talked to the user.
+   */
+  async findDirectThread(userId) {
+    try {
+      const body = await this.ig.directThread.getByParticipants([userId.toString()]);
+      return body?.thread?.thread_id || null;
+    } catch (error) {
+      this.log('DEBUG', `No existing thread with user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sends a text message to a user, creating the thread if it does not exist yet.
+   * @param {string} userId - The Instagram user ID.
+   * @param {string} text - The message text.
+   * @param {object} [options] - Send options.
+   * @param {string} [options.origin='bot'] - Where the message came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  async sendDirectMessage(userId, text, options = {}) {
+    try {
+      const response = await this.outboundQueue.enqueue(userId, 'text', () => this.ig.entity.directThread([userId.toString()]).broadcastText(text));
+      const sentItem = this.toSentItem(response, null);
+      this.log('INFO', `Text message sent to user ${userId} (thread ${sentItem.threadId}): "${text}"`);
+      this.rememberOrigin(sentItem, options.origin || 'bot');
+      return sentItem;
+    } catch (error) {
+      this.log('ERROR', `Error sending text message to user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Handles incoming messages.
    * @param {object} message - The message object.
@@ -264,43 +705,44 @@ class InstagramBot {
    */
   async handleMessage(message, eventData) {
     try {
-      this.log('DEBUG', 'Raw message received:', JSON.stringify(message, null, 2));
+      this.log('TRACE', 'Raw message received:', message);
       
       if (!message || !message.user_id || !message.item_id) {
         this.log('WARN', 'Received malformed message');
         return;
       }
 
-      // Skip messages from the bot itself
-      const botUserId = this.ig.state.cookieUserId;
-      if (message.user_id?.toString() === botUserId?.toString()) {
-        this.log('DEBUG', `Ignoring message from bot itself (${botUserId})`);
-        return;
+      const timestamp = parseInt(message.timestamp, 10);
+      if (timestamp > (this.lastProcessedTimestamp || 0)) {
+        this.lastProcessedTimestamp = timestamp;
       }
 
-      let senderUsername = `user_${message.user_id}`;
-      if (eventData.thread?.users) {
-        const sender = eventData.thread.users.find(u => u.pk?.toString() === message.user_id?.toString());
-        if (sender?.username) {
-          senderUsername = sender.username;
-        } else {
-          senderUsername = await this.getUsername(message.user_id);
+      // Skip messages from the bot itself unless outgoing messages are mirrored
+      const botUserId = this.ig.state.cookieUserId;
+      const isOutgoing = message.user_id?.toString() === botUserId?.toString();
+      let outgoingSource = null;
+      if (isOutgoing) {
+        if (!config.telegram?.mirrorOutgoing) {
+          this.log('DEBUG', `Ignoring message from bot itself (${botUserId})`);
+          return;
         }
-      } else {
-        senderUsername = await this.getUsername(message.user_id);
-      }
-
-      const processedMessage = {
-        id: message.item_id,
-        text: message.text || '',
-        senderId: message.user_id,
-        senderUsername,
-        timestamp: new Date(parseInt(message.timestamp, 10) / 1000),
-        threadId: eventData.thread?.thread_id || message.thread_id || 'unknown_thread',
-        threadTitle: eventData.thread?.thread_title || message.thread_title || 'Direct Message',
-        type: message.item_type || 'unknown_type',
-        raw: message,
-      };
+        outgoingSource = await this.getOutgoingSource(message.item_id);
+        if (outgoingSource === 'telegram') {
+          this.log('DEBUG', `Ignoring echo of Telegram-originated item ${message.item_id}`);
+          return;
+        }
+      }
+
+      const threadId = eventData.thread?.thread_id || message.thread_id || 'unknown_thread';
+      const threadInfo = await this.getThreadInfo(threadId, eventData.thread);
+      const processedMessage = await this.toProcessedMessage(message, threadId, threadInfo);
+      processedMessage.isOutgoing = isOutgoing;
+      processedMessage.outgoingSource = outgoingSource;
+
+      // Joins, leaves and renames arrive as action_log items
+      if (processedMessage.type === 'action_log') {
+        await this.refreshThread(threadId);
+      }
 
       this.log('INFO', `[${processedMessage.threadTitle}] New message from @${processedMessage.senderUsername}: "${processedMessage.text}"`);
 
@@ -317,6 +759,201 @@ class InstagramBot {
     }
   }
 
+  /**
+   * Converts a raw thread item into the message shape passed to message handlers.
+   * @param {object} message - The raw thread item.
+   * @param {string} threadId - The thread ID.
+   * @param {object|null} threadInfo - Thread info from getThreadInfo.
+   * @returns {object} The processed message.
+   */
+  async toProcessedMessage(message, threadId, threadInfo) {
+    const botUserId = this.ig.state.cookieUserId;
+    let senderUsername = `user_${message.user_id}`;
+    const sender = threadInfo?.users.find(u => u.id === message.user_id?.toString());
+    if (sender?.username) {
+      senderUsername = sender.username;
+    } else if (message.user_id?.toString() === botUserId?.toString()) {
+      senderUsername = config.instagram?.username || senderUsername;
+    } else {
+      senderUsername = await this.getUsername(message.user_id);
+    }
+
+    return {
+      id: message.item_id,
+      text: message.text || '',
+      senderId: message.user_id,
+      senderUsername,
+      senderDisplayName: sender?.fullName || null,
+      timestamp: new Date(parseInt(message.timestamp, 10) / 1000),
+      threadId,
+      threadTitle: threadInfo?.title || message.thread_title || 'Direct Message',
+      isGroup: threadInfo?.isGroup || false,
+      thread: threadInfo,
+      isOutgoing: false,
+      outgoingSource: null,
+      type: message.item_type || 'unknown_type',
+      raw: message,
+    };
+  }
+
+  /**
+   * Pages through a thread's history, newest first.
+   * @param {string} threadId - The thread ID.
+   * @param {number} count - Maximum number of items to fetch.
+   * @param {object} [options] - Paging options.
+   * @param {Date} [options.before] - Only return items older than this.
+   * @param {Date} [options.after] - Stop paging at items this old or older.
+   * @returns {object[]} Raw thread items, oldest first.
+   */
+  async fetchThreadHistory(threadId, count, options = {}) {
+    const feed = this.ig.feed.directThread({ thread_id: threadId });
+    const items = [];
+    const beforeMicros = options.before ? options.before.getTime() * 1000 : null;
+    const afterMicros = options.after ? options.after.getTime() * 1000 : null;
+    let reachedAfter = false;
+
+    do {
+      const page = await feed.items();
+      for (const item of page) {
+        const timestamp = parseInt(item.timestamp, 10);
+        if (afterMicros && timestamp <= afterMicros) {
+          reachedAfter = true;
+          break;
+        }
+        if (beforeMicros && timestamp >= beforeMicros) continue;
+        items.push(item);
+        if (items.length >= count) break;
+      }
+      if (!reachedAfter && items.length < count && feed.isMoreAvailable()) {
+        await randomUtils.delay(1000 + Math.random() * 1000);
+      }
+    } while (!reachedAfter && items.length < count && feed.isMoreAvailable());
+
+    this.log('INFO', `Fetched ${items.length} history items for thread ${threadId}`);
+    return items.reverse();
+  }
+
+  /**
+   * Remembers where one of our own sent items came from, so its realtime echo can be told apart.
+   * @param {object} sentItem - The sent item from toSentItem.
+   * @param {string} origin - 'bot' for module and command sends, 'telegram' for bridged sends.
+   */
+  rememberOrigin(sentItem, origin) {
+    if (!sentItem?.itemId) return;
+    this.sentItemOrigins.set(sentItem.itemId.toString(), origin);
+    if (this.sentItemOrigins.size > this.maxSentItemOrigins) {
+      const first = this.sentItemOrigins.keys().next().value;
+      this.sentItemOrigins.delete(first);
+    }
+  }
+
+  /**
+   * Works out where an item sent from our own account came from.
+   * @param {string} itemId - The item ID.
+   * @returns {string} 'telegram', 'bot', or 'app' when it was typed in the Instagram app.
+   */
+  async getOutgoingSource(itemId) {
+    // The realtime echo can arrive before the send request resolves and records the item
+    if (!this.sentItemOrigins.has(itemId?.toString())) {
+      await randomUtils.delay(this.outgoingEchoDelayMs);
+    }
+    return this.sentItemOrigins.get(itemId?.toString()) || 'app';
+  }
+
+  /**
+   * Gets a thread's title, group flag and participants, from the event payload, cache or API.
+   * @param {string} threadId - The thread ID.
+   * @param {object} [thread] - Raw thread object, if the event carried one.
+   * @returns {object|null} Thread info ({ threadId, isGroup, title, users }) or null if unavailable.
+   */
+  async getThreadInfo(threadId, thread = null) {
+    if (thread?.users) {
+      const info = this.toThreadInfo(threadId, thread);
+      this.threadCache.set(threadId, { info, fetchedAt: Date.now() });
+      return info;
+    }
+
+    const cached = this.threadCache.get(threadId);
+    if (cached && Date.now() - cached.fetchedAt < this.threadCacheTtl) {
+      return cached.info;
+    }
+
+    try {
+      const { thread: fetched } = await this.ig.feed.directThread({ thread_id: threadId }).request();
+      const info = this.toThreadInfo(threadId, fetched);
+      this.threadCache.set(threadId, { info, fetchedAt: Date.now() });
+      return info;
+    } catch (error) {
+      this.log('WARN', `Failed to fetch thread info for ${threadId}:`, error.message);
+      return cached?.info || null;
+    }
+  }
+
+  /**
+   * Normalizes a raw thread object.
+   * @param {string} threadId - The thread ID.
+   * @param {object} thread - Raw thread object.
+   * @returns {object} Thread info ({ threadId, isGroup, title, users }).
+   */
+  toThreadInfo(threadId, thread) {
+    const users = (thread?.users || []).map(user => ({
+      id: user.pk?.toString(),
+      username: user.username,
+      fullName: user.full_name || null,
+    }));
+    return {
+      threadId,
+      isGroup: Boolean(thread?.is_group) || users.length > 1,
+      title: thread?.thread_title || null,
+      users,
+    };
+  }
+
+  /**
+   * Re-reads a thread and publishes `threadUpdated` (plus `memberJoined`/`memberLeft`) if its title or participants changed.
+   * @param {string} threadId - The thread ID.
+   * @param {object} [thread] - Raw thread object, if the event carried one.
+   */
+  async refreshThread(threadId, thread = null) {
+    const before = this.threadCache.get(threadId)?.info || null;
+    this.threadCache.delete(threadId);
+    const after = await this.getThreadInfo(threadId, thread);
+    if (!after || !before) return;
+
+    const beforeIds = new Set(before.users.map(u => u.id));
+    const afterIds = new Set(after.users.map(u => u.id));
+    const update = {
+      threadId,
+      thread: after,
+      renamed: before.title !== after.title,
+      joined: after.users.filter(u => !beforeIds.has(u.id)),
+      left: before.users.filter(u => !afterIds.has(u.id)),
+    };
+    if (!update.renamed && update.joined.length === 0 && update.left.length === 0) return;
+
+    this.log('INFO', `Thread ${threadId} updated: renamed=${update.renamed}, joined=${update.joined.length}, left=${update.left.length}`);
+    await this.events.emit('threadUpdated', update);
+    if (update.joined.length > 0) {
+      await this.events.emit('memberJoined', { threadId, thread: after, users: update.joined });
+    }
+    if (update.left.length > 0) {
+      await this.events.emit('memberLeft', { threadId, thread: after, users: update.left });
+    }
+  }
+
+  /**
+   * Registers a handler for thread renames and participant changes.
+   * Shorthand for `events.on('threadUpdated', handler)`.
+   * @param {Function} handler - The handler function.
+   */
+  onThreadUpdate(handler) {
+    if (typeof handler === 'function') {
+      this.events.on('threadUpdated', handler);
+    } else {
+      this.log('WARN', 'Attempted to add non-function thread update handler');
+    }
+  }
+
   /**
    * Registers a message handler.
    * @param {Function} handler - The handler function.
@@ -334,23 +971,166 @@ class InstagramBot {
    * Sends a text message to a thread.
    * @param {string} threadId - The thread ID.
    * @param {string} text - The message text.
-   * @returns {boolean} True if sent successfully.
+   * @param {object} [options] - Send options.
+   * @param {string} [options.replyToItemId] - Item ID to send the text as a quoted reply to.
+   * @param {string} [options.origin='bot'] - Where the message came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
    */
-  async sendMessage(threadId, text) {
+  async sendMessage(threadId, text, options = {}) {
     if (!threadId || !text) {
       this.log('WARN', 'Missing threadId or text');
       throw new Error('Thread ID and text are required');
     }
     try {
-      await this.ig.entity.directThread(threadId).broadcastText(text);
-      this.log('INFO', `Text message sent to thread ${threadId}: "${text}"`);
-      return true;
+      const response = await this.outboundQueue.enqueue(threadId, 'text', () => (options.replyToItemId
+        ? this.ig.directThread.broadcast({
+          item: 'text',
+          form: { text, replied_to_item_id: options.replyToItemId },
+          threadIds: threadId,
+        })
+        : this.ig.entity.directThread(threadId).broadcastText(text)));
+      this.log('INFO', `Text message sent to thread ${threadId}${options.replyToItemId ? ` (reply to ${options.replyToItemId})` : ''}: "${text}"`);
+      const sentItem = this.toSentItem(response, threadId);
+      this.rememberOrigin(sentItem, options.origin || 'bot');
+      return sentItem;
     } catch (error) {
       this.log('ERROR', `Error sending text message to thread ${threadId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Sends a photo to a thread.
+   * @param {string} threadId - The thread ID.
+   * @param {Buffer} file - JPEG image data.
+   * @param {object} [options] - Send options.
+   * @param {string} [options.replyToItemId] - Item ID to send the photo as a quoted reply to.
+   * @param {string} [options.origin='bot'] - Where the photo came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  async sendPhoto(threadId, file, options = {}) {
+    // broadcastPhoto has no reply option, so replies configure the uploaded photo themselves
+    return await this.sendMedia(threadId, 'photo', file, async (thread) => {
+      if (!options.replyToItemId) return await thread.broadcastPhoto({ file });
+      const { upload_id } = await this.ig.upload.photo({ file });
+      return await this.ig.directThread.broadcast({
+        item: 'configure_photo',
+        form: { allow_full_aspect_ratio: true, upload_id, replied_to_item_id: options.replyToItemId },
+        threadIds: threadId,
+      });
+    }, options.origin);
+  }
+
+  /**
+   * Sends a video to a thread.
+   * @param {string} threadId - The thread ID.
+   * @param {Buffer} video - MP4 (H.264/AAC) video data.
+   * @param {object} [options] - Send options.
+   * @param {string} [options.origin='bot'] - Where the video came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  async sendVideo(threadId, video, options = {}) {
+    return await this.sendMedia(threadId, 'video', video, (thread) => thread.broadcastVideo({ video }), options.origin);
+  }
+
+  /**
+   * Sends a voice note to a thread.
+   * @param {string} threadId - The thread ID.
+   * @param {Buffer} file - M4A (AAC) audio data.
+   * @param {object} [options] - Voice options.
+   * @param {number[]} [options.waveform] - Waveform samples between 0 and 1.
+   * @param {number} [options.waveformSamplingFrequencyHz] - Waveform samples per second.
+   * @param {string} [options.origin='bot'] - Where the voice note came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  async sendVoice(threadId, file, options = {}) {
+    const { origin, ...voiceOptions } = options;
+    return await this.sendMedia(threadId, 'voice', file, (thread) => thread.broadcastVoice({ file, ...voiceOptions }), origin);
+  }
+
+  /**
+   * Uploads media to a thread through the given broadcast call.
+   * @param {string} threadId - The thread ID.
+   * @param {string} kind - Media kind, used for logging.
+   * @param {Buffer} data - The media data.
+   * @param {Function} broadcast - Receives the thread entity and performs the upload.
+   * @param {string} [origin='bot'] - Where the media came from ('bot' or 'telegram').
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  async sendMedia(threadId, kind, data, broadcast, origin = 'bot') {
+    if (!threadId || !data?.length) {
+      this.log('WARN', `Missing threadId or ${kind} data`);
+      throw new Error(`Thread ID and ${kind} data are required`);
+    }
+    try {
+      const response = await this.outboundQueue.enqueue(threadId, kind, () => broadcast(this.ig.entity.directThread(threadId)));
+      this.log('INFO', `Sent ${kind} (${Math.round(data.length / 1024)}KB) to thread ${threadId}`);
+      const sentItem = this.toSentItem(response, threadId);
+      this.rememberOrigin(sentItem, origin || 'bot');
+      return sentItem;
+    } catch (error) {
+      this.log('ERROR', `Error sending ${kind} to thread ${threadId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Unsends one of our own items from a thread.
+   * @param {string} threadId - The thread ID.
+   * @param {string} itemId - The item ID.
+   * @returns {boolean} True if unsent successfully.
+   */
+  async unsendMessage(threadId, itemId) {
+    try {
+      await this.outboundQueue.enqueue(threadId, 'unsend', () => this.ig.entity.directThread(threadId).deleteItem(itemId));
+      this.log('INFO', `Unsent item ${itemId} from thread ${threadId}`);
+      return true;
+    } catch (error) {
+      this.log('ERROR', `Error unsending item ${itemId} from thread ${threadId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds or removes an emoji reaction on an item.
+   * @param {string} threadId - The thread ID.
+   * @param {string} itemId - The item ID.
+   * @param {string} emoji - The reaction emoji.
+   * @param {boolean} [remove=false] - Remove the reaction instead of adding it.
+   * @returns {boolean} True if sent successfully.
+   */
+  async sendReaction(threadId, itemId, emoji, remove = false) {
+    try {
+      await this.outboundQueue.enqueue(threadId, 'reaction', () => this.ig.realtime.direct.sendReaction({
+        threadId,
+        itemId,
+        emoji,
+        reactionType: 'like',
+        reactionStatus: remove ? 'deleted' : 'created',
+      }));
+      this.log('INFO', `${remove ? 'Removed' : 'Sent'} reaction ${emoji} on item ${itemId} in thread ${threadId}`);
+      return true;
+    } catch (error) {
+      this.log('ERROR', `Error sending reaction on item ${itemId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalizes a broadcast response into the sent item's identifiers.
+   * @param {object} response - Broadcast payload, message metadata or raw response body.
+   * @param {string} threadId - The thread the item was sent to.
+   * @returns {object} The sent item ({ itemId, threadId, timestamp }).
+   */
+  toSentItem(response, threadId) {
+    const item = response?.payload || response?.message_metadata?.[0] || response || {};
+    return {
+      itemId: item.item_id || null,
+      threadId: item.thread_id || threadId,
+      timestamp: item.timestamp || null,
+    };
+  }
+
   /**
    * Sets the app/device foreground state to simulate mobile activity.
    * @param {boolean} inApp - App foreground state.
@@ -392,12 +1172,180 @@ class InstagramBot {
     }, 5000);
   }
 
+  /**
+   * Starts polling the pending (message request) inbox, which realtime does not deliver.
+   * Call once message handlers are registered, since approved requests are replayed through them.
+   */
+  startPendingInboxPoller() {
+    if (this.pendingPollTimer) return;
+    const intervalMs = config.messageRequests?.pollIntervalMs || 60000;
+    this.pendingPollTimer = setInterval(() => this.checkPendingInbox(), intervalMs);
+    this.checkPendingInbox();
+    this.log('INFO', `Polling message requests every ${Math.round(intervalMs / 1000)}s (auto-approve: ${!!config.messageRequests?.autoApprove})`);
+  }
+
+  /**
+   * Stops the pending inbox poller.
+   */
+  stopPendingInboxPoller() {
+    if (this.pendingPollTimer) {
+      clearInterval(this.pendingPollTimer);
+      this.pendingPollTimer = null;
+    }
+  }
+
+  /**
+   * Approves pending requests when auto-approve is on, otherwise hands each new one to request handlers.
+   * Afterwards, pending inbox handlers get the IDs still pending so requests handled elsewhere can be cleared.
+   */
+  async checkPendingInbox() {
+    if (this.checkingPendingInbox) return;
+    this.checkingPendingInbox = true;
+    try {
+      const feed = this.ig.feed.directPending();
+      const threads = await feed.items();
+      for (const thread of threads) {
+        // One failing request must not hold up the others until the next poll
+        try {
+          if (config.messageRequests?.autoApprove) {
+            await this.approveRequest(thread.thread_id, thread);
+          } else if (!this.announcedRequests.has(thread.thread_id)) {
+            this.announcedRequests.add(thread.thread_id);
+            const threadInfo = this.toThreadInfo(thread.thread_id, thread);
+            const items = [];
+            for (const item of [...(thread.items || [])].reverse()) {
+              items.push(await this.toProcessedMessage(item, thread.thread_id, threadInfo));
+            }
+            for (const handler of this.pendingRequestHandlers) {
+              await handler({ threadId: thread.thread_id, thread: threadInfo, items });
+            }
+          }
+        } catch (error) {
+          this.log('ERROR', `Error handling message request ${thread.thread_id}:`, error.message);
+        }
+      }
+
+      // Only the first page is fetched; anything missing from a partial list may still be pending
+      if (feed.isMoreAvailable()) {
+        this.log('DEBUG', 'Pending inbox has more pages, skipping request reconciliation');
+        return;
+      }
+      const pendingThreadIds = new Set(threads.map(thread => thread.thread_id));
+      for (const threadId of this.announcedRequests) {
+        if (!pendingThreadIds.has(threadId)) this.announcedRequests.delete(threadId);
+      }
+      for (const handler of this.pendingInboxHandlers) {
+        await handler(pendingThreadIds);
+      }
+    } catch (error) {
+      this.log('ERROR', 'Error checking pending inbox:', error.message);
+    } finally {
+      this.checkingPendingInbox = false;
+    }
+  }
+
+  /**
+   * Registers a handler for new message requests.
+   * @param {Function} handler - Receives { threadId, thread, items } with items oldest first.
+   */
+  onPendingRequest(handler) {
+    if (typeof handler === 'function') {
+      this.pendingRequestHandlers.push(handler);
+      this.log('INFO', `Added pending request handler (total: ${this.pendingRequestHandlers.length})`);
+    } else {
+      this.log('WARN', 'Attempted to add non-function pending request handler');
+    }
+  }
+
+  /**
+   * Registers a handler called after every complete pending inbox check.
+   * @param {Function} handler - Receives a Set of the thread IDs that are still pending.
+   */
+  onPendingInboxChecked(handler) {
+    if (typeof handler === 'function') {
+      this.pendingInboxHandlers.push(handler);
+      this.log('INFO', `Added pending inbox handler (total: ${this.pendingInboxHandlers.length})`);
+    } else {
+      this.log('WARN', 'Attempted to add non-function pending inbox handler');
+    }
+  }
+
+  /**
+   * Approves a message request and replays its waiting messages through the message handlers.
+   * @param {string} threadId - The pending thread ID.
+   * @param {object} [thread] - The raw pending thread, if already fetched.
+   * @returns {boolean} True if approved successfully.
+   */
+  async approveRequest(threadId, thread = null) {
+    try {
+      await this.ig.directThread.approve(threadId);
+      this.announcedRequests.delete(threadId);
+      this.log('INFO', `Approved message request ${threadId}`);
+
+      // Messages sent before approval never came through realtime
+      const items = thread?.items || await this.fetchThreadHistory(threadId, 20);
+      const ordered = thread?.items ? [...items].reverse() : items;
+      for (const item of ordered) {
+        if (await this.isNewMessageById(item.item_id, threadId, item.timestamp)) {
+          await this.handleMessage(item, { thread: thread || { thread_id: threadId } });
+        }
+      }
+      return true;
+    } catch (error) {
+      this.log('ERROR', `Error approving message request ${threadId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Declines a message request.
+   * @param {string} threadId - The pending thread ID.
+   * @returns {boolean} True if declined successfully.
+   */
+  async declineRequest(threadId) {
+    try {
+      await this.ig.directThread.decline(threadId);
+      this.announcedRequests.delete(threadId);
+      this.log('INFO', `Declined message request ${threadId}`);
+      return true;
+    } catch (error) {
+      this.log('ERROR', `Error declining message request ${threadId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Blocks the sender of a message request and declines it.
+   * @param {string} threadId - The pending thread ID.
+   * @param {string} userId - The sender's user ID.
+   * @returns {boolean} True if blocked successfully.
+   */
+  async blockRequest(threadId, userId) {
+    try {
+      await this.ig.friendship.block(userId);
+      await this.declineRequest(threadId);
+      this.log('INFO', `Blocked user ${userId} from message request ${threadId}`);
+      return true;
+    } catch (error) {
+      this.log('ERROR', `Error blocking user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Gracefully disconnects the bot.
    */
   async disconnect() {
     this.log('INFO', 'Initiating graceful disconnect...');
     this.isRunning = false;
+    this.connectionSupervisor.stop();
+    this.stopPendingInboxPoller();
+
+    if (this.sessionSaveTimer) {
+      clearTimeout(this.sessionSaveTimer);
+      this.sessionSaveTimer = null;
+    }
+    await this.saveSession();
 
     try {
       await this.setForegroundState(false, false, 900);
@@ -430,24 +1378,27 @@ async function main() {
 
     const messageHandler = new MessageHandler(bot, moduleManager, null);
     bot.onMessage((message) => messageHandler.handleMessage(message));
+    bot.startPendingInboxPoller();
+    await moduleManager.ready();
 
-    console.log('Bot is running with full module support. Type .help for commands.');
+    logger.info('Bot is running with full module support. Type .help for commands.');
 
     setInterval(() => {
-      console.log(`[${new Date().toISOString()}] Bot heartbeat - Running: ${bot.isRunning}`);
+      logger.debug(`Bot heartbeat - Running: ${bot.isRunning}`);
     }, 300000);
 
     const shutdownHandler = async () => {
-      console.log('\n[SIGINT/SIGTERM] Shutting down gracefully...');
+      logger.info('[SIGINT/SIGTERM] Shutting down gracefully...');
+      await moduleManager.cleanup();
       if (bot) await bot.disconnect();
-      console.log('Shutdown complete.');
+      logger.info('Shutdown complete.');
       process.exit(0);
     };
 
     process.on('SIGINT', shutdownHandler);
     process.on('SIGTERM', shutdownHandler);
   } catch (error) {
-    console.error('Bot failed to start:', error.message);
+    logger.error('Bot failed to start:', error.message);
     if (bot) await bot.disconnect();
     process.exit(1);
   }
@@ -455,7 +1406,7 @@ async function main() {
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch((error) => {
-    console.error('Unhandled error in main:', error.message);
+    logger.error('Unhandled error in main:', error.message);
     process.exit(1);
   });
 }
@@ -0,0 +1,280 @@
+import { config } from '../config.js';
+
+/**
+ * Thrown when a command's arguments do not match its declared schema.
+ * The message explains the problem; MessageHandler adds the command's usage when replying.
+ */
+export class CommandUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandUsageError';
+  }
+}
+
+/**
+ * @returns {string[]} The configured command prefixes, longest first so "!!" wins over "!".
+ */
+export function getCommandPrefixes() {
+  return [...(config.commands?.prefixes || ['.'])].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * @returns {string} The prefix shown in help and usage texts (the first configured one).
+ */
+export function getPrimaryPrefix() {
+  return config.commands?.prefixes?.[0] || '.';
+}
+
+/**
+ * Splits text into tokens on any whitespace (spaces, tabs, newlines).
+ * Single or double quotes at the start of a token group words into one token, so apostrophes inside
+ * words (don't) stay literal; a backslash escapes the next character.
+ * @param {string} text - The text after the command name.
+ * @returns {{ value: string, quoted: boolean, start: number }[]} The tokens with their offset in `text`;
+ *   quoted ones are never read as flags.
+ * @throws {CommandUsageError} If a quote is left open.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length) {
+      current ??= { value: '', quoted: false, start: i };
+      current.value += text[++i];
+    } else if (quote) {
+      if (char === quote) quote = null;
+      else current.value += char;
+    } else if ((char === '"' || char === '\'') && !current) {
+      quote = char;
+      current = { value: '', quoted: true, start: i };
+    } else if (/\s/.test(char)) {
+      if (current) tokens.push(current);
+      current = null;
+    } else {
+      current ??= { value: '', quoted: false, start: i };
+      current.value += char;
+    }
+  }
+
+  if (quote) {
+    throw new CommandUsageError(`Missing closing ${quote}`);
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Recognizes a command in a message.
+ * @param {string} text - The message text.
+ * @param {string[]} [prefixes] - Prefixes to accept, defaults to config.commands.prefixes.
+ * @returns {object|null} { prefix, name, text } where `text` is the raw remainder after the command
+ *   name (pass it to tokenize()), or null if the text does not start with a prefix directly followed by a name.
+ */
+export function parseCommand(text, prefixes = getCommandPrefixes()) {
+  if (typeof text !== 'string') return null;
+  const trimmed = text.trimStart();
+  const prefix = prefixes.find(candidate => trimmed.startsWith(candidate));
+  if (!prefix) return null;
+
+  const match = trimmed.slice(prefix.length).match(/^(\S+)\s*([\s\S]*)$/);
+  if (!match) return null;
+
+  return {
+    prefix,
+    name: match[1].toLowerCase(),
+    text: match[2].trim()
+  };
+}
+
+function convertValue(spec, raw, label) {
+  switch (spec.type || 'string') {
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      if (raw === '' || Number.isNaN(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        throw new CommandUsageError(`${label} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}, got "${raw}"`);
+      }
+      if (spec.min !== undefined && value < spec.min) throw new CommandUsageError(`${label} must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new CommandUsageError(`${label} must be at most ${spec.max}`);
+      return value;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new CommandUsageError(`${label} must be yes or no, got "${raw}"`);
+    default: {
+      const value = spec.lowercase ? raw.toLowerCase() : raw;
+      if (spec.oneOf && !spec.oneOf.includes(value)) {
+        throw new CommandUsageError(`${label} must be one of ${spec.oneOf.join(', ')}, got "${raw}"`);
+      }
+      return value;
+    }
+  }
+}
+
+// Flag names are declared in camelCase and typed in kebab-case: `maxCount` is `--max-count`
+const toFlagName = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+const fromFlagName = (name) => name.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+/**
+ * Splits tokens into positional arguments and `--flags`.
+ * Without declared flags, `--name` is true, `--no-name` is false and `--name=value` is a string.
+ * Declared non-boolean flags also take the following token as their value (`--count 5`),
+ * and declared aliases allow short forms (`-c 5`). `--` ends flag parsing, and so does the start of
+ * the positional argument at `restIndex`, so free text can mention --anything.
+ * @param {{ value: string, quoted: boolean, start: number }[]} tokens - Tokens from tokenize().
+ * @param {object} [flagSpecs] - The command's declared flags, or undefined to accept any flag.
+ * @param {number} [restIndex=Infinity] - Index of the positional argument that takes the rest of the text.
+ * @returns {{ positional: string[], flags: object, restStart: number|null }} `restStart` is the
+ *   offset of the token that starts the rest argument, if there is one.
+ * @throws {CommandUsageError} On unknown flags or a missing flag value when flags are declared.
+ */
+export function splitFlags(tokens, flagSpecs, restIndex = Infinity) {
+  const positional = [];
+  const flags = {};
+  const aliases = new Map(Object.entries(flagSpecs || {})
+    .filter(([, spec]) => spec.alias)
+    .map(([name, spec]) => [spec.alias, name]));
+  let flagsEnded = false;
+  let restStart = null;
+
+  const pushPositional = ({ value, start }) => {
+    if (positional.length === restIndex) {
+      flagsEnded = true;
+      restStart = start ?? null;
+    }
+    positional.push(value);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+    if (quoted || flagsEnded) {
+      pushPositional(tokens[i]);
+      continue;
+    }
+    if (value === '--') {
+      flagsEnded = true;
+      continue;
+    }
+
+    const long = value.match(/^--([a-z][\w-]*)(?:=([\s\S]*))?$/i);
+    const short = !long && value.match(/^-([a-z])$/i);
+    if (!long && !(short && aliases.has(short[1]))) {
+      pushPositional(tokens[i]);
+      continue;
+    }
+
+    let name = long ? fromFlagName(long[1].toLowerCase()) : aliases.get(short[1]);
+    let inline = long ? long[2] : undefined;
+    let negated = false;
+    const positive = /^no[A-Z]/.test(name) ? name[2].toLowerCase() + name.slice(3) : null;
+    if (positive && inline === undefined && (!flagSpecs || (!flagSpecs[name] && flagSpecs[positive]))) {
+      name = positive;
+      negated = true;
+    }
+
+    if (!flagSpecs) {
+      flags[name] = negated ? false : inline ?? true;
+      continue;
+    }
+
+    const spec = flagSpecs[name];
+    if (!spec) {
+      throw new CommandUsageError(`Unknown option ${value.split('=')[0]}`);
+    }
+    const label = `--${toFlagName(name)}`;
+    if ((spec.type || 'boolean') === 'boolean') {
+      flags[name] = inline === undefined ? !negated : convertValue(spec, inline, label);
+      continue;
+    }
+    if (inline === undefined) {
+      const next = tokens[i + 1];
+      if (!next) throw new CommandUsageError(`${label} needs a value`);
+      inline = next.value;
+      i++;
+    }
+    flags[name] = convertValue(spec, inline, label);
+  }
+
+  return { positional, flags, restStart };
+}
+
+/**
+ * Validates parsed tokens against a command's declared schema.
+ *
+ * Schema on the command object:
+ *   args:  [{ name, type: 'string'|'number'|'integer'|'boolean', required, default, oneOf, min, max, lowercase, rest }]
+ *          `rest` (last argument only) takes the remaining text as typed, spacing, newlines and quotes
+ *          included; flags have to come before it.
+ *   flags: { name: { type (default 'boolean'), alias, default, oneOf, min, max } }
+ *
+ * @param {object} command - The registered command.
+ * @param {{ value: string, quoted: boolean, start: number }[]} tokens - Tokens from tokenize().
+ * @param {string} [text] - The text the tokens came from; without it a rest argument is the words joined by spaces.
+ * @returns {{ values: object, positional: string[], flags: object }} `values` holds the named
+ *   arguments and flags with defaults applied.
+ * @throws {CommandUsageError} On missing, extra or invalid arguments.
+ */
+export function validateArguments(command, tokens, text = null) {
+  const specs = command.args || [];
+  const restIndex = specs.findIndex(spec => spec.rest);
+  const { positional, flags, restStart } = splitFlags(tokens, command.flags, restIndex < 0 ? Infinity : restIndex);
+  const values = {};
+
+  specs.forEach((spec, index) => {
+    let raw = positional[index];
+    if (spec.rest) {
+      raw = text !== null && restStart !== null ? text.slice(restStart).trimEnd() : positional.slice(index).join(' ');
+    }
+    if (raw === undefined || raw === '') {
+      if (spec.required) throw new CommandUsageError(`Missing <${spec.name}>`);
+      values[spec.name] = spec.default ?? null;
+      return;
+    }
+    values[spec.name] = spec.rest ? raw : convertValue(spec, raw, `<${spec.name}>`);
+  });
+
+  if (command.args && !specs.some(spec => spec.rest) && positional.length > specs.length) {
+    throw new CommandUsageError(`Unexpected argument "${positional[specs.length]}"`);
+  }
+
+  for (const [name, spec] of Object.entries(command.flags || {})) {
+    values[name] = name in flags ? flags[name] : spec.default ?? ((spec.type || 'boolean') === 'boolean' ? false : null);
+  }
+
+  return { values, positional, flags };
+}
+
+/**
+ * Builds a usage line for a command. A declared `usage` wins (its leading "." is swapped for the
+ * primary prefix); otherwise it is derived from the argument schema.
+ * @param {string} name - The command name.
+ * @param {object} command - The registered command.
+ * @returns {string} E.g. ".logs [count] [--level <error|warn|info|debug>]".
+ */
+export function formatUsage(name, command) {
+  const prefix = getPrimaryPrefix();
+  if (command.usage) {
+    return command.usage.startsWith('.') ? prefix + command.usage.slice(1) : command.usage;
+  }
+
+  const args = (command.args || []).map(spec => {
+    const label = spec.oneOf ? spec.oneOf.join('|') : spec.name;
+    const text = spec.rest ? `${label}...` : label;
+    return spec.required ? `<${text}>` : `[${text}]`;
+  });
+  const flags = Object.entries(command.flags || {}).map(([flag, spec]) => {
+    const value = (spec.type || 'boolean') === 'boolean' ? '' : ` <${spec.oneOf ? spec.oneOf.join('|') : spec.type}>`;
+    return `[--${toFlagName(flag)}${value}]`;
+  });
+  // Flags are not read inside a rest argument, so they go before it
+  const restIndex = (command.args || []).findIndex(spec => spec.rest);
+  if (restIndex >= 0) {
+    return [`${prefix}${name}`, ...args.slice(0, restIndex), ...flags, ...args.slice(restIndex)].join(' ');
+  }
+  return [`${prefix}${name}`, ...args, ...flags].join(' ');
+}
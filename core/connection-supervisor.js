@@ -0,0 +1,131 @@
+import { ClientDisconnectedError } from 'instagram_mqtt';
+import { config } from '../config.js';
+import { logger } from '../utils/utils.js';
+
+/**
+ * Watches the realtime (MQTT) connection of an InstagramBot and brings it back after it drops:
+ * reconnects with exponential backoff and jitter, restores the foreground state, and replays
+ * inbox items that arrived while the link was down through the bot's handleMessage.
+ */
+export class ConnectionSupervisor {
+  /**
+   * @param {InstagramBot} instagramBot - The bot whose realtime connection is supervised.
+   */
+  constructor(instagramBot) {
+    this.instagramBot = instagramBot;
+    this.logger = logger.child({ component: 'connection' });
+    this.baseDelayMs = config.realtime?.reconnectBaseDelayMs || 2000;
+    this.maxDelayMs = config.realtime?.reconnectMaxDelayMs || 5 * 60 * 1000;
+    this.catchUpThreads = config.realtime?.catchUpThreads || 20;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.started = false;
+  }
+
+  /**
+   * Starts watching for dropped connections. Call once the first realtime connection is up.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    const realtime = this.instagramBot.ig.realtime;
+    // Only fires on a deliberate disconnect, which stop() normally precedes
+    realtime.on('disconnect', () => this.scheduleReconnect('connection closed'));
+    realtime.on('error', (error) => {
+      // A dropped link is reported as ClientDisconnectedError; other errors on a live connection are transient
+      if (error instanceof ClientDisconnectedError || !this.instagramBot.isRunning) {
+        this.scheduleReconnect(error?.message || 'error');
+      }
+    });
+  }
+
+  /**
+   * Stops reconnecting, e.g. before an intentional disconnect.
+   */
+  stop() {
+    this.started = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Exponential backoff with equal jitter: half the delay is fixed, half is random.
+   * @returns {number} Milliseconds to wait before the next attempt.
+   */
+  getDelay() {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** this.attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  scheduleReconnect(reason) {
+    if (!this.started || this.reconnectTimer || this.reconnecting) return;
+    const delay = this.getDelay();
+    this.logger.warn(`Realtime down (${reason}), reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.attempt + 1})`);
+    this.instagramBot.events.emit('connectionState', { state: 'reconnecting', reason, attempt: this.attempt + 1, delayMs: delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect();
+    }, delay);
+  }
+
+  async reconnect() {
+    if (!this.started) return;
+    this.reconnecting = true;
+    // Taken before connecting: live messages arriving after reconnect move the bot's cursor past the gap
+    const since = this.instagramBot.lastProcessedTimestamp;
+    try {
+      await this.instagramBot.connectRealtime();
+      await this.instagramBot.setForegroundState(true, true, 60);
+      this.instagramBot.isRunning = true;
+      this.logger.info(`Realtime reconnected after ${this.attempt + 1} attempt(s)`);
+      this.instagramBot.events.emit('connectionState', { state: 'connected', attempt: this.attempt + 1 });
+      this.attempt = 0;
+    } catch (error) {
+      this.attempt++;
+      this.logger.error('Realtime reconnect failed:', error.message);
+      this.reconnecting = false;
+      this.scheduleReconnect('reconnect failed');
+      return;
+    }
+    this.reconnecting = false;
+
+    try {
+      await this.catchUp(since);
+    } catch (error) {
+      this.logger.error('Missed-message catch-up failed:', error.message);
+    }
+  }
+
+  /**
+   * Replays items newer than a timestamp from recently active threads.
+   * Already processed item IDs are skipped by the bot's deduplication.
+   * @param {number} since - Timestamp in microseconds, usually the bot's last processed timestamp.
+   * @returns {number} The number of items replayed.
+   */
+  async catchUp(since) {
+    const bot = this.instagramBot;
+    if (!since) return 0;
+
+    const threads = (await bot.ig.feed.directInbox().items()).slice(0, this.catchUpThreads);
+    let replayed = 0;
+    for (const thread of threads) {
+      if (parseInt(thread.last_activity_at, 10) <= since) continue;
+
+      const items = await bot.fetchThreadHistory(thread.thread_id, 100, { after: new Date(since / 1000) });
+      for (const item of items) {
+        if (parseInt(item.timestamp, 10) <= since) continue;
+        if (!await bot.isNewMessageById(item.item_id, thread.thread_id, item.timestamp)) continue;
+        await bot.handleMessage(item, { thread });
+        replayed++;
+      }
+    }
+
+    if (replayed > 0) {
+      this.logger.info(`Replayed ${replayed} message(s) received while realtime was down`);
+    }
+    return replayed;
+  }
+}
@@ -0,0 +1,95 @@
+import { logger } from '../utils/utils.js';
+
+/**
+ * Events published on InstagramBot.events and their payloads. Every payload also carries
+ * `type` (the event name) and `receivedAt` (a Date). IDs are strings.
+ */
+export const BOT_EVENTS = {
+  typing: '{ threadId, userId, isTyping }',
+  seen: '{ threadId, userId, itemId, seenAt: Date|null }',
+  presence: '{ userId, isActive, lastActivityAt: Date|null, threadIds }',
+  itemUpdated: '{ kind: "reaction"|"unsend"|"edit", threadId, itemId, userId, emoji?, removed?, text? }',
+  reaction: '{ threadId, itemId, userId, emoji, removed }',
+  threadUpdated: '{ threadId, thread, renamed, joined, left }',
+  memberJoined: '{ threadId, thread, users }',
+  memberLeft: '{ threadId, thread, users }',
+  liveStarted: '{ userId, username, broadcastId, raw }',
+  connectionState: '{ state: "connected"|"disconnected"|"reconnecting"|"error", reason?, attempt?, delayMs? }'
+};
+
+/**
+ * Small typed event emitter: only names listed in BOT_EVENTS can be subscribed to or emitted,
+ * so a typo fails loudly instead of never firing. Handlers run one after another and a
+ * failing handler is logged without stopping the others.
+ */
+export class BotEventBus {
+  constructor() {
+    this.handlers = new Map(); // Event name -> Set of handlers
+    this.anyHandlers = new Set(); // Handlers for every event, called as (event, payload)
+    this.logger = logger.child({ component: 'events' });
+  }
+
+  assertKnown(event) {
+    if (!(event in BOT_EVENTS)) {
+      throw new Error(`Unknown bot event "${event}". Events: ${Object.keys(BOT_EVENTS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} event - One of BOT_EVENTS.
+   * @param {Function} handler - Called with the payload.
+   * @returns {Function} Unsubscribes the handler.
+   */
+  on(event, handler) {
+    this.assertKnown(event);
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${event}" must be a function`);
+    }
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.handlers.get(event)?.delete(handler);
+  }
+
+  /**
+   * Subscribes to every event, e.g. to route them elsewhere.
+   * @param {Function} handler - Called with (event, payload).
+   * @returns {Function} Unsubscribes the handler.
+   */
+  onAny(handler) {
+    this.anyHandlers.add(handler);
+    return () => this.anyHandlers.delete(handler);
+  }
+
+  /**
+   * Publishes an event to its handlers, then to the catch-all handlers.
+   * @param {string} event - One of BOT_EVENTS.
+   * @param {object} payload - The normalized payload.
+   */
+  async emit(event, payload) {
+    this.assertKnown(event);
+    const enriched = { type: event, receivedAt: new Date(), ...payload };
+    this.logger.trace(`Event ${event}`, payload);
+
+    for (const handler of [...(this.handlers.get(event) || [])]) {
+      try {
+        await handler(enriched);
+      } catch (error) {
+        this.logger.error(`Error in ${event} handler:`, error.message);
+      }
+    }
+    for (const handler of [...this.anyHandlers]) {
+      try {
+        await handler(event, enriched);
+      } catch (error) {
+        this.logger.error(`Error routing ${event}:`, error.message);
+      }
+    }
+  }
+}
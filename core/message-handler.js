@@ -1,29 +1,52 @@
 import { logger } from '../utils/utils.js';
 import { config } from '../config.js';
+import { CommandUsageError, formatUsage, parseCommand, tokenize, validateArguments } from './command-parser.js';
+import { getRequiredRole } from './permissions.js';
+import { CommandRateLimiter } from './rate-limiter.js';
 
 export class MessageHandler {
   constructor(instagramBot, moduleManager, telegramBridge) {
     this.instagramBot = instagramBot;
     this.moduleManager = moduleManager;
     this.telegramBridge = telegramBridge;
+    this.rateLimiter = new CommandRateLimiter();
   }
 
   async handleMessage(message) {
     try {
       logger.info(`📨 Processing message: "${message.text}" from @${message.senderUsername}`);
+
+      // Our own messages are only mirrored, never run through modules or commands
+      if (message.isOutgoing) {
+        if (this.telegramBridge?.enabled && config.telegram.enabled) {
+          await this.telegramBridge.sendToTelegram(message);
+        }
+        return;
+      }
       
-      // Process through modules for stats/logging
+      // Blocked users are ignored entirely: no modules, commands or forwarding
+      message.senderRole = await this.instagramBot.permissions.getMessageRole(message);
+      if (message.senderRole === 'blocked') {
+        logger.debug(`🚫 Ignoring message from blocked user @${message.senderUsername} (${message.senderId})`);
+        return;
+      }
+
+      // Module middleware may change, tag, handle or drop the message
       message = await this.moduleManager.processMessage(message);
+      if (message.pipeline.status === 'dropped') {
+        return;
+      }
 
       // Handle commands INSTANTLY
-      if (message.text?.startsWith('.')) {
+      const parsed = message.pipeline.status !== 'handled' && message.meta.commands !== false && parseCommand(message.text);
+      if (parsed) {
         logger.info(`⚡ Command detected: ${message.text}`);
-        await this.handleCommand(message);
+        await this.handleCommand(message, parsed);
         return;
       }
 
       // Forward to Telegram if enabled
-      if (this.telegramBridge?.enabled && config.telegram.enabled) {
+      if (message.meta.forward !== false && this.telegramBridge?.enabled && config.telegram.enabled) {
         logger.debug('Forwarding to Telegram...');
         await this.telegramBridge.sendToTelegram(message);
       }
@@ -34,33 +57,67 @@ export class MessageHandler {
     }
   }
 
-  async handleCommand(message) {
-    const commandText = message.text.slice(1).trim();
-    const [commandName, ...args] = commandText.split(' ');
-    const command = this.moduleManager.getCommand(commandName);
+  /**
+   * Runs a parsed command. Handlers are called as `handler(args, message, parsed)`: `args` holds the
+   * positional words, or the validated named values when the command declares `args`/`flags`;
+   * `parsed` adds { prefix, name, alias, text, positional, flags }.
+   */
+  async handleCommand(message, parsed = parseCommand(message.text)) {
+    if (!parsed) return;
+    const command = this.moduleManager.getCommand(parsed.name);
+
+    // Commands of disabled modules behave like unknown commands
+    if (!command || !this.moduleManager.isModuleEnabled(command.moduleName, message.threadId)) return;
+    const commandName = command.name;
 
-    if (!command) return;
+    const permissions = this.instagramBot.permissions;
+    const senderRole = message.senderRole || await permissions.getMessageRole(message);
 
-    // Admin check
-    if (command.adminOnly && !this.isAdmin(message.senderUsername)) {
-      await this.instagramBot.sendMessage(message.threadId, '❌ Admin only');
+    // Cooldowns come before anything that replies, so spamming a command cannot trigger sends; admins are exempt
+    if (!permissions.hasRole(senderRole, 'admin')) {
+      const limit = this.rateLimiter.check(command, message);
+      if (!limit.allowed) {
+        logger.debug(`⏳ ${parsed.prefix}${command.name} from @${message.senderUsername} rate limited (${limit.reason})`);
+        if (limit.reply && limit.reason === 'muted') {
+          logger.warn(`🔇 Muted @${message.senderUsername} (${message.senderId}) from commands for repeated rate limit hits`);
+          await this.instagramBot.sendMessage(message.threadId, `🔇 @${message.senderUsername}, too many commands. Muted for ${Math.ceil(limit.retryAfterMs / 60000)} minutes`);
+        } else if (limit.reply) {
+          await this.instagramBot.sendMessage(message.threadId, `⏳ Slow down, try again in ${Math.ceil(limit.retryAfterMs / 1000)}s`);
+        }
+        return;
+      }
+    }
+
+    const requiredRole = getRequiredRole(command);
+    if (!permissions.hasRole(senderRole, requiredRole)) {
+      await this.instagramBot.sendMessage(message.threadId, `❌ Requires the ${requiredRole} role`);
       return;
     }
 
+    const commandLogger = logger.child({ threadId: message.threadId, module: command.moduleName, command: commandName });
     try {
       // Log command execution
-      logger.info(`⚡ Command executed: .${commandName} by @${message.senderUsername}`);
+      commandLogger.info(`⚡ Command executed: ${parsed.prefix}${parsed.name} by @${message.senderUsername}`);
       
+      const { values, positional, flags } = validateArguments(command, tokenize(parsed.text), parsed.text);
+      const args = command.args || command.flags ? values : positional;
+
       // Execute command INSTANTLY
-      await command.handler(args, message);
+      await command.handler(args, message, {
+        ...parsed,
+        name: commandName,
+        alias: parsed.name !== commandName ? parsed.name : null,
+        positional,
+        flags
+      });
       
     } catch (error) {
-      logger.error(`Command ${commandName} error:`, error.message);
+      if (error instanceof CommandUsageError) {
+        await this.instagramBot.sendMessage(message.threadId, `❌ ${error.message}\n💡 Usage: ${formatUsage(commandName, command)}`);
+        return;
+      }
+      commandLogger.error(`Command ${commandName} error:`, error.message);
       await this.instagramBot.sendMessage(message.threadId, `❌ Error: ${error.message}`);
     }
   }
-
-  isAdmin(username) {
-    return config.admin.users.includes(username.toLowerCase());
-  }
 }
@@ -0,0 +1,91 @@
+import { connectDb } from '../utils/db.js';
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+/**
+ * Module API
+ *
+ * A module is a file in modules/ exporting one class. The class is constructed with a context
+ * (below) and may declare:
+ *
+ *   static meta = {
+ *     name: 'weather',              // Defaults to the class name without "Module", lowercased
+ *     version: '1.0.0',
+ *     description: 'Weather lookups',
+ *     dependencies: ['core'],       // Loaded first; this module is skipped if one is missing
+ *     requiredRole: 'user',         // Minimum role for all of its commands (see core/permissions.js)
+ *     priority: 100                 // Position in the message middleware chain, lower runs first
+ *   };
+ *
+ *   getCommands()                   // { name: { handler, description, usage, args, flags, aliases, cooldown, role } }
+ *   getEventHandlers()              // { typing: async (event) => ..., ... } for events in core/event-bus.js
+ *   async process(message, control) // Middleware for incoming messages (see ModuleManager.processMessage)
+ *   async init(context)             // After construction, before its commands are registered
+ *   async onReady()                 // Once the bot is connected and messages flow; right away for modules loaded later
+ *   async onShutdown()              // On unload, reload and shutdown
+ */
+
+/**
+ * Builds the context handed to a module's constructor and init hook.
+ * @param {ModuleManager} moduleManager - The manager loading the module.
+ * @param {string} moduleName - The module name, used for its logger, config and storage.
+ * @returns {object} { name, bot, send, bridge, logger, config, appConfig, storage, permissions, moduleManager, getModule }
+ */
+export function createModuleContext(moduleManager, moduleName) {
+  const bot = moduleManager.instagramBot;
+
+  return {
+    name: moduleName,
+    bot,
+    // Goes through the outbound queue like every other send
+    send: (threadId, text, options) => bot.sendMessage(threadId, text, options),
+    bridge: moduleManager.telegramBridge,
+    logger: logger.child({ module: moduleName }),
+    config: config.modules?.[moduleName] || {}, // The module's own section of config.modules
+    appConfig: config,
+    storage: createModuleStorage(moduleName),
+    permissions: bot?.permissions || null,
+    moduleManager,
+    getModule: (name) => moduleManager.findModule(name)
+  };
+}
+
+/**
+ * MongoDB storage private to one module: the `module_<name>` collection plus small key/value helpers on it.
+ * @param {string} moduleName - The module name.
+ */
+function createModuleStorage(moduleName) {
+  const collectionName = `module_${moduleName.replace(/[^\w-]/g, '_')}`;
+  let collection = null;
+
+  const getCollection = async () => {
+    if (!collection) {
+      const db = await connectDb();
+      collection = db.collection(collectionName);
+    }
+    return collection;
+  };
+
+  return {
+    collectionName,
+    collection: getCollection,
+
+    async get(key, fallback = null) {
+      const doc = await (await getCollection()).findOne({ _id: key });
+      return doc ? doc.value : fallback;
+    },
+
+    async set(key, value) {
+      await (await getCollection()).updateOne(
+        { _id: key },
+        { $set: { value, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    },
+
+    async delete(key) {
+      const { deletedCount } = await (await getCollection()).deleteOne({ _id: key });
+      return deletedCount > 0;
+    }
+  };
+}
@@ -1,82 +1,467 @@
-
 import { logger } from '../utils/utils.js';
+import { connectDb } from '../utils/db.js';
+import { config } from '../config.js';
+import { createModuleContext } from './module-context.js';
+import { getRequiredRole, highestRole } from './permissions.js';
+import { BOT_EVENTS } from './event-bus.js';
 import fs from 'fs';
 import path from 'path';
 
+// Modules that hold the management commands themselves
+const PROTECTED_MODULES = ['core'];
+const WATCH_DEBOUNCE_MS = 300;
+const DEFAULT_PRIORITY = 100;
+
 export class ModuleManager {
   constructor(instagramBot = null, telegramBridge = null) {
     this.modules = [];
     this.commandRegistry = new Map();
+    this.aliasRegistry = new Map(); // Alias -> command name
     this.instagramBot = instagramBot;
     this.telegramBridge = telegramBridge;
     this.modulesPath = './modules';
+    this.states = new Map(); // Module name -> { enabled, threads: { threadId: enabled } }
+    this.statesCollection = null;
+    this.watcher = null;
+    this.watchTimers = new Map(); // Filename -> pending reload timer
+    this.isReady = false;
+    this.stats = new Map(); // Module name -> { processed, handled, dropped, errors, lastError, lastErrorAt }
+    // Bot events reach modules through getEventHandlers(), honoring enabled state
+    this.unsubscribeEvents = instagramBot?.events?.onAny((event, payload) => this.dispatchEvent(event, payload)) || null;
   }
 
   async loadModules() {
     try {
+      await this.loadModuleStates();
+
       const moduleFiles = fs.readdirSync(this.modulesPath)
         .filter(file => file.endsWith('.js'))
         .sort();
 
+      const entries = [];
       for (const file of moduleFiles) {
-        await this.loadModule(file);
+        try {
+          const ModuleClass = await this.importModuleClass(file);
+          entries.push({ file, ModuleClass, name: this.getClassModuleName(ModuleClass) });
+        } catch (error) {
+          logger.error(`Failed to load ${file}:`, error.message);
+        }
+      }
+
+      for (const { file, ModuleClass } of this.orderByDependencies(entries)) {
+        try {
+          await this.createModule(ModuleClass, file);
+        } catch (error) {
+          logger.error(`Failed to load ${file}:`, error.message);
+        }
       }
 
       this.buildCommandRegistry();
       logger.info(`🔌 Loaded ${this.modules.length} modules`);
 
+      if (config.app.environment === 'development') {
+        this.startWatcher();
+      }
+
     } catch (error) {
       logger.error('Module loading error:', error.message);
     }
   }
 
-  async loadModule(filename) {
-    try {
-      const modulePath = path.join(this.modulesPath, filename);
-      const moduleImport = await import(`../${modulePath}`);
-      const ModuleClass = Object.values(moduleImport)[0];
-      
-      if (!ModuleClass || typeof ModuleClass !== 'function') {
-        throw new Error(`No valid module class in ${filename}`);
-      }
+  /**
+   * Imports a module file and adds its instance. Call buildCommandRegistry() afterwards.
+   * @param {string} filename - File name inside the modules directory.
+   * @param {object} [options]
+   * @param {boolean} [options.fresh=false] - Bypass Node's module cache to pick up edits.
+   * @returns {object} The module instance.
+   * @throws {Error} If the file has no module class or a module with that name is already loaded.
+   */
+  async loadModule(filename, { fresh = false } = {}) {
+    return this.createModule(await this.importModuleClass(filename, { fresh }), filename);
+  }
 
-      let moduleInstance;
-      const moduleName = ModuleClass.name;
+  async importModuleClass(filename, { fresh = false } = {}) {
+    const modulePath = path.join(this.modulesPath, filename);
+    // ESM imports are cached per URL, so a query string forces a new evaluation; old versions stay in memory
+    const moduleImport = await import(`../${modulePath}${fresh ? `?update=${Date.now()}` : ''}`);
+    const ModuleClass = Object.values(moduleImport)[0];
 
-      if (moduleName === 'CoreModule') {
-        moduleInstance = new ModuleClass(this.instagramBot);
-      } else if (moduleName === 'HelpModule') {
-        moduleInstance = new ModuleClass(this);
-      } else {
-        moduleInstance = new ModuleClass();
+    if (!ModuleClass || typeof ModuleClass !== 'function') {
+      throw new Error(`No valid module class in ${filename}`);
+    }
+    return ModuleClass;
+  }
+
+  /**
+   * Constructs a module with its context and runs its init hook, and onReady if the bot is already up.
+   * @param {Function} ModuleClass - The module class.
+   * @param {string} filename - The file it came from.
+   * @returns {object} The module instance.
+   * @throws {Error} If a dependency is not loaded, the name is taken or init fails.
+   */
+  async createModule(ModuleClass, filename) {
+    const moduleInstance = await this.instantiateModule(ModuleClass, filename);
+    this.modules.push(moduleInstance);
+    if (this.isReady) {
+      await this.runHook(moduleInstance, 'onReady');
+    }
+    return moduleInstance;
+  }
+
+  /**
+   * Constructs a module and runs its init hook without adding it to the loaded modules.
+   * @param {Function} ModuleClass - The module class.
+   * @param {string} filename - The file it came from.
+   * @param {object} [replacing] - A loaded instance the new one will replace, so its name is not taken.
+   * @returns {object} The module instance.
+   */
+  async instantiateModule(ModuleClass, filename, replacing = null) {
+    const name = this.getClassModuleName(ModuleClass);
+    const isTaken = (moduleName) => {
+      const loaded = this.findModule(moduleName);
+      return !!loaded && loaded !== replacing;
+    };
+    if (isTaken(name)) {
+      throw new Error(`Module ${name} is already loaded`);
+    }
+    const missing = (ModuleClass.meta?.dependencies || []).filter(dependency => !this.findModule(dependency));
+    if (missing.length > 0) {
+      throw new Error(`Module ${name} needs ${missing.join(', ')}`);
+    }
+
+    const context = createModuleContext(this, name);
+    const moduleInstance = new ModuleClass(context);
+    if (this.getModuleName(moduleInstance) !== name && isTaken(this.getModuleName(moduleInstance))) {
+      throw new Error(`Module ${this.getModuleName(moduleInstance)} is already loaded`);
+    }
+    // Kept for modules written before the context existed
+    moduleInstance.moduleManager = this;
+    moduleInstance.filename = filename;
+    await moduleInstance.init?.(context);
+
+    const unknownEvents = Object.keys(moduleInstance.getEventHandlers?.() || {}).filter(event => !(event in BOT_EVENTS));
+    if (unknownEvents.length > 0) {
+      logger.warn(`Module ${name} handles unknown events: ${unknownEvents.join(', ')}`);
+    }
+    return moduleInstance;
+  }
+
+  /**
+   * Sorts module entries so dependencies come first, keeping file order otherwise.
+   * Modules with missing or circular dependencies are logged and left out.
+   * @param {object[]} entries - { file, ModuleClass, name } per module file.
+   * @returns {object[]} The entries in load order.
+   */
+  orderByDependencies(entries) {
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    const ordered = [];
+    const state = new Map(); // Name -> 'visiting' | 'done' | 'failed'
+
+    const visit = (entry, chain) => {
+      const current = state.get(entry.name);
+      if (current === 'done') return true;
+      if (current === 'failed') return false;
+      if (current === 'visiting') {
+        logger.error(`Module dependency cycle: ${[...chain, entry.name].join(' -> ')}`);
+        return false;
       }
 
-      // Set module manager reference
-      moduleInstance.moduleManager = this;
-      this.modules.push(moduleInstance);
+      state.set(entry.name, 'visiting');
+      for (const dependency of entry.ModuleClass.meta?.dependencies || []) {
+        const dependencyEntry = byName.get(dependency);
+        if (!dependencyEntry && this.findModule(dependency)) continue;
+        if (!dependencyEntry || !visit(dependencyEntry, [...chain, entry.name])) {
+          logger.error(`Skipping module ${entry.name}: dependency ${dependency} is ${dependencyEntry ? 'unavailable' : 'missing'}`);
+          state.set(entry.name, 'failed');
+          return false;
+        }
+      }
+      state.set(entry.name, 'done');
+      ordered.push(entry);
+      return true;
+    };
+
+    for (const entry of entries) {
+      visit(entry, []);
+    }
+    return ordered;
+  }
 
+  /**
+   * Calls onReady on every module. Call once the bot is connected and the message handler is wired.
+   */
+  async ready() {
+    this.isReady = true;
+    for (const module of this.modules) {
+      await this.runHook(module, 'onReady');
+    }
+  }
+
+  // Hooks are optional; a failing hook is logged without taking other modules down
+  async runHook(module, hook) {
+    try {
+      await module[hook]?.();
     } catch (error) {
-      logger.error(`Failed to load ${filename}:`, error.message);
+      logger.error(`${hook} of module ${this.getModuleName(module)} failed:`, error.message);
+    }
+  }
+
+  async shutdownModule(module) {
+    await this.runHook(module, 'onShutdown');
+    await this.runHook(module, 'cleanup'); // Older modules only have cleanup
+  }
+
+  /**
+   * Loads a module that is not loaded yet by name, e.g. after dropping its file into modules/.
+   * @param {string} name - The file name without .js.
+   * @returns {object} The module instance.
+   */
+  async loadModuleByName(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid module name "${name}"`);
+    }
+    const filename = `${name}.js`;
+    if (!fs.existsSync(path.join(this.modulesPath, filename))) {
+      throw new Error(`No module file ${filename}`);
+    }
+    if (this.modules.some(module => module.filename === filename)) {
+      throw new Error(`${filename} is already loaded, use reload`);
+    }
+
+    const module = await this.loadModule(filename, { fresh: true });
+    this.buildCommandRegistry();
+    logger.info(`🔌 Loaded module ${this.getModuleName(module)} from ${filename}`);
+    return module;
+  }
+
+  /**
+   * Calls a module's cleanup and removes it with its commands until it is loaded again.
+   * @param {string} name - The module name.
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Allow unloading protected modules (used by reload).
+   * @returns {object} The removed module.
+   */
+  async unloadModule(name, { force = false } = {}) {
+    const module = this.findModule(name);
+    if (!module) {
+      throw new Error(`Module ${name} is not loaded`);
+    }
+    if (!force && PROTECTED_MODULES.includes(this.getModuleName(module))) {
+      throw new Error(`Module ${name} cannot be unloaded`);
+    }
+    const dependents = this.modules
+      .filter(other => this.getModuleMeta(other).dependencies.includes(this.getModuleName(module)))
+      .map(other => this.getModuleName(other));
+    if (!force && dependents.length > 0) {
+      throw new Error(`Module ${name} is needed by ${dependents.join(', ')}`);
+    }
+
+    await this.shutdownModule(module);
+    this.modules = this.modules.filter(loaded => loaded !== module);
+    this.buildCommandRegistry();
+    logger.info(`🔌 Unloaded module ${name}`);
+    return module;
+  }
+
+  /**
+   * Re-imports a module's file and swaps the running instance for a fresh one.
+   * The new instance is constructed and initialized first, so the running one is kept when the new
+   * file does not import (e.g. a syntax error) or its constructor or init fails.
+   * Modules should therefore claim shared resources (timers, Telegram commands) in onReady, not init.
+   * @param {string} name - The module name.
+   * @returns {object} The new module instance.
+   */
+  async reloadModule(name) {
+    const current = this.findModule(name);
+    if (!current) {
+      throw new Error(`Module ${name} is not loaded`);
+    }
+    const ModuleClass = await this.importModuleClass(current.filename, { fresh: true });
+    const module = await this.instantiateModule(ModuleClass, current.filename, current);
+
+    await this.shutdownModule(current);
+    // Keep the original position, ties in priority run in load order
+    this.modules[this.modules.indexOf(current)] = module;
+    this.buildCommandRegistry();
+    if (this.isReady) {
+      await this.runHook(module, 'onReady');
+    }
+    logger.info(`🔄 Reloaded module ${this.getModuleName(module)}`);
+    return module;
+  }
+
+  getModuleName(module) {
+    return module.constructor.meta?.name || module.name || module.constructor.name.replace('Module', '').toLowerCase();
+  }
+
+  getClassModuleName(ModuleClass) {
+    return ModuleClass.meta?.name || ModuleClass.name.replace('Module', '').toLowerCase();
+  }
+
+  /**
+   * @param {object} module - A loaded module.
+   * @returns {object} { name, version, description, dependencies, requiredRole } with defaults filled in.
+   */
+  getModuleMeta(module) {
+    const meta = module.constructor.meta || {};
+    return {
+      name: this.getModuleName(module),
+      version: meta.version || '0.0.0',
+      description: meta.description || module.description || '',
+      dependencies: meta.dependencies || [],
+      requiredRole: meta.requiredRole || null,
+      priority: meta.priority ?? DEFAULT_PRIORITY
+    };
+  }
+
+  // Exact lookup by name; getModule() also matches partial class names
+  findModule(name) {
+    return this.modules.find(module => this.getModuleName(module) === name.toLowerCase());
+  }
+
+  /**
+   * @returns {string[]} Module files in the modules directory that are not loaded.
+   */
+  getUnloadedModuleFiles() {
+    const loaded = new Set(this.modules.map(module => module.filename));
+    return fs.readdirSync(this.modulesPath).filter(file => file.endsWith('.js') && !loaded.has(file));
+  }
+
+  async loadModuleStates() {
+    try {
+      const db = await connectDb();
+      this.statesCollection = db.collection('module_states');
+      this.states.clear();
+      for (const state of await this.statesCollection.find().toArray()) {
+        this.states.set(state._id, { enabled: state.enabled ?? true, threads: state.threads || {} });
+      }
+    } catch (error) {
+      logger.warn('⚠️ Module states could not be loaded, all modules enabled:', error.message);
+    }
+  }
+
+  /**
+   * @param {string} name - The module name.
+   * @param {string} [threadId] - The thread to check; a thread setting wins over the global one.
+   * @returns {boolean} Whether the module's commands and message processing are active.
+   */
+  isModuleEnabled(name, threadId = null) {
+    const state = this.states.get(name);
+    if (!state) return true;
+    return state.threads[threadId] ?? state.enabled;
+  }
+
+  /**
+   * Enables or disables a module, globally or in one thread, and stores the choice in MongoDB.
+   * @param {string} name - The module name.
+   * @param {boolean} enabled - The new state.
+   * @param {string} [threadId] - Only change the state in this thread.
+   */
+  async setModuleEnabled(name, enabled, threadId = null) {
+    if (!this.findModule(name) && !this.states.has(name)) {
+      throw new Error(`Module ${name} is not loaded`);
+    }
+    if (!enabled && PROTECTED_MODULES.includes(name)) {
+      throw new Error(`Module ${name} cannot be disabled`);
+    }
+    if (!this.statesCollection) {
+      throw new Error('Module states are not available');
+    }
+
+    const state = this.states.get(name) || { enabled: true, threads: {} };
+    if (threadId) state.threads[threadId] = enabled;
+    else state.enabled = enabled;
+    this.states.set(name, state);
+
+    await this.statesCollection.updateOne(
+      { _id: name },
+      { $set: { [threadId ? `threads.${threadId}` : 'enabled']: enabled, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    logger.info(`🔌 Module ${name} ${enabled ? 'enabled' : 'disabled'}${threadId ? ` in thread ${threadId}` : ''}`);
+  }
+
+  /**
+   * Watches the modules directory and loads, reloads or unloads modules as their files change.
+   * Started automatically when app.environment is 'development'.
+   */
+  startWatcher() {
+    if (this.watcher) return;
+    this.watcher = fs.watch(this.modulesPath, (eventType, filename) => {
+      if (!filename?.endsWith('.js')) return;
+      // Editors write files in several steps; act once things settle
+      clearTimeout(this.watchTimers.get(filename));
+      this.watchTimers.set(filename, setTimeout(() => {
+        this.watchTimers.delete(filename);
+        this.handleWatchedChange(filename).catch(error => {
+          logger.error(`Auto-reload of ${filename} failed:`, error.message);
+        });
+      }, WATCH_DEBOUNCE_MS));
+    });
+    logger.info(`👀 Watching ${this.modulesPath} for module changes`);
+  }
+
+  stopWatcher() {
+    this.watcher?.close();
+    this.watcher = null;
+    for (const timer of this.watchTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchTimers.clear();
+  }
+
+  async handleWatchedChange(filename) {
+    const module = this.modules.find(loaded => loaded.filename === filename);
+    const exists = fs.existsSync(path.join(this.modulesPath, filename));
+
+    if (module && exists) {
+      await this.reloadModule(this.getModuleName(module));
+    } else if (module) {
+      await this.unloadModule(this.getModuleName(module), { force: true });
+    } else if (exists) {
+      await this.loadModuleByName(filename.slice(0, -3));
     }
   }
 
   buildCommandRegistry() {
     this.commandRegistry.clear();
-    
+    this.aliasRegistry.clear();
+
     for (const module of this.modules) {
       const commands = module.getCommands();
+      const { requiredRole } = this.getModuleMeta(module);
       for (const [name, command] of Object.entries(commands)) {
         this.commandRegistry.set(name.toLowerCase(), {
           ...command,
+          name: name.toLowerCase(),
+          role: highestRole(getRequiredRole(command), requiredRole),
+          aliases: (command.aliases || []).map(alias => alias.toLowerCase()),
           module: module,
-          moduleName: module.name || module.constructor.name.replace('Module', '').toLowerCase()
+          moduleName: this.getModuleName(module)
         });
       }
     }
+
+    // Aliases never shadow a real command name, and the first module to claim an alias keeps it
+    for (const [name, command] of this.commandRegistry) {
+      for (const alias of command.aliases) {
+        if (this.commandRegistry.has(alias) || this.aliasRegistry.has(alias)) {
+          logger.warn(`Alias "${alias}" of ${name} is already taken, ignoring it`);
+          continue;
+        }
+        this.aliasRegistry.set(alias, name);
+      }
+    }
   }
 
+  /**
+   * Looks up a command by name or alias.
+   * @param {string} name - The command name or one of its aliases.
+   * @returns {object|undefined} The registered command.
+   */
   getCommand(name) {
-    return this.commandRegistry.get(name.toLowerCase());
+    const key = name.toLowerCase();
+    return this.commandRegistry.get(key) || this.commandRegistry.get(this.aliasRegistry.get(key));
   }
 
   getAllCommands() {
@@ -84,30 +469,108 @@ export class ModuleManager {
   }
 
   getModule(name) {
-    return this.modules.find(module => 
+    return this.modules.find(module =>
       module.constructor.name.toLowerCase().includes(name.toLowerCase()) ||
       (module.name && module.name.toLowerCase() === name.toLowerCase())
     );
   }
 
-  async processMessage(message) {
+  /**
+   * Passes a bot event to every enabled module that handles it in getEventHandlers().
+   * Events tied to a thread respect per-thread enabled state.
+   * @param {string} event - The event name (see BOT_EVENTS).
+   * @param {object} payload - The event payload.
+   */
+  async dispatchEvent(event, payload) {
     for (const module of this.modules) {
+      const handler = module.getEventHandlers?.()[event];
+      if (!handler || !this.isModuleEnabled(this.getModuleName(module), payload.threadId)) continue;
+      try {
+        await handler.call(module, payload);
+      } catch (error) {
+        logger.error(`Module ${this.getModuleName(module)} failed handling ${event}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Runs a message through each enabled module's `process(message, control)`, lowest priority first
+   * (ties keep load order). A module returns the message, a changed copy, or nothing to keep it as is,
+   * and can use `control`:
+   *   control.handle(reason) - it took care of the message: stop the chain and skip commands
+   *   control.drop(reason)   - ignore the message: stop the chain, skip commands and Telegram forwarding
+   *   control.tag(key, value) - add to message.meta; MessageHandler honors meta.commands === false
+   *                             and meta.forward === false
+   * Each module works on a shallow copy of the message, committed only when it returns normally, so a
+   * throwing module is logged and counted and the chain goes on without its changes, tags or stop
+   * (changes inside nested objects are not undone).
+   * @param {object} message - The processed Instagram message.
+   * @returns {object} The message with `pipeline` ({ status: 'passed'|'handled'|'dropped', by, reason }) and `meta`.
+   */
+  async processMessage(message) {
+    message.meta = message.meta || {};
+    let pipeline = { status: 'passed', by: null, reason: null };
+
+    const chain = this.modules
+      .map((module, index) => ({ module, index, priority: this.getModuleMeta(module).priority }))
+      .sort((a, b) => a.priority - b.priority || a.index - b.index)
+      .map(entry => entry.module);
+
+    for (const module of chain) {
+      const name = this.getModuleName(module);
+      if (!module.process || !this.isModuleEnabled(name, message.threadId)) continue;
+
+      const stats = this.getModuleStats(name);
+      const draft = { ...message, meta: { ...message.meta } };
+      let stop = null;
+      const control = {
+        handle: (reason = null) => { stop = { status: 'handled', reason }; },
+        drop: (reason = null) => { stop = { status: 'dropped', reason }; },
+        tag: (key, value = true) => { draft.meta[key] = value; }
+      };
+
       try {
-        message = await module.process(message);
+        stats.processed++;
+        const result = await module.process(draft, control);
+        // A returned object replaces the message but keeps the tags made so far
+        message = result && typeof result === 'object' ? { ...result, meta: { ...draft.meta, ...result.meta } } : draft;
       } catch (error) {
-        // Silent fail for module processing
+        stats.errors++;
+        stats.lastError = error.message;
+        stats.lastErrorAt = new Date();
+        logger.error(`Module ${name} failed processing message ${message.id}:`, error.message);
+        logger.debug(`Module ${name} error stack:`, error.stack);
+        continue;
+      }
+
+      if (stop) {
+        stats[stop.status]++;
+        pipeline = { ...stop, by: name };
+        logger.debug(`Message ${message.id} ${stop.status} by ${name}${stop.reason ? `: ${stop.reason}` : ''}`);
+        break;
       }
     }
+
+    message.pipeline = pipeline;
     return message;
   }
 
+  getModuleStats(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, { processed: 0, handled: 0, dropped: 0, errors: 0, lastError: null, lastErrorAt: null });
+    }
+    return this.stats.get(name);
+  }
+
   async cleanup() {
-    for (const module of this.modules) {
-      if (module.cleanup) {
-        await module.cleanup();
-      }
+    this.stopWatcher();
+    this.unsubscribeEvents?.();
+    // Dependents first
+    for (const module of [...this.modules].reverse()) {
+      await this.shutdownModule(module);
     }
     this.modules = [];
     this.commandRegistry.clear();
+    this.aliasRegistry.clear();
   }
 }
@@ -0,0 +1,216 @@
+import { IgActionSpamError, IgCheckpointError, IgNetworkError } from 'instagram-private-api';
+import { config } from '../config.js';
+import { logger, randomUtils } from '../utils/utils.js';
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Single queue for everything the bot sends to Instagram (module replies, bridged Telegram messages, DMs).
+ * Jobs run one at a time with randomized human-like pauses between them, within per-thread and
+ * global per-minute limits. Transient failures are retried with backoff. When Instagram answers
+ * with feedback_required or checkpoint_required the circuit opens: queued jobs are rejected,
+ * new ones are refused until the pause ends, and circuit handlers (the Telegram alert) are called.
+ */
+export class OutboundQueue {
+  constructor() {
+    const settings = config.outbound || {};
+    this.globalPerMinute = settings.globalPerMinute || 20;
+    this.threadPerMinute = settings.threadPerMinute || 6;
+    this.minDelayMs = settings.minDelayMs ?? 1000;
+    this.maxDelayMs = settings.maxDelayMs ?? 3000;
+    this.maxRetries = settings.maxRetries ?? 3;
+    this.retryBaseDelayMs = settings.retryBaseDelayMs || 5000;
+    this.circuitPauseMs = (settings.circuitPauseMinutes || 30) * 60 * 1000;
+
+    this.logger = logger.child({ component: 'outbound' });
+    this.jobs = [];
+    this.globalSends = [];
+    this.threadSends = new Map(); // Thread ID -> send times within the window
+    this.lastSendAt = 0;
+    this.draining = false;
+    this.pausedUntil = 0;
+    this.pauseReason = null;
+    this.circuitHandlers = [];
+    this.stats = { sent: 0, retried: 0, failed: 0 };
+  }
+
+  /**
+   * Queues a send and resolves with its result once it ran.
+   * @param {string} threadId - Thread the send goes to (used for the per-thread limit).
+   * @param {string} label - Short description for logs, e.g. 'text' or 'photo'.
+   * @param {Function} task - Performs the send.
+   * @returns {Promise<any>} The task's result.
+   * @throws {Error} If sending is paused, or the task failed for good.
+   */
+  enqueue(threadId, label, task) {
+    if (this.isPaused()) {
+      return Promise.reject(new Error(`Sending to Instagram is paused (${this.pauseReason}) until ${new Date(this.pausedUntil).toISOString()}`));
+    }
+    return new Promise((resolve, reject) => {
+      this.jobs.push({ threadId: threadId?.toString() || 'unknown', label, task, resolve, reject, attempts: 0 });
+      this.drain();
+    });
+  }
+
+  /**
+   * Registers a handler called when the circuit opens.
+   * @param {Function} handler - Receives { reason, pausedUntil, dropped }.
+   */
+  onCircuitOpen(handler) {
+    if (typeof handler === 'function') {
+      this.circuitHandlers.push(handler);
+    }
+  }
+
+  isPaused() {
+    return Date.now() < this.pausedUntil;
+  }
+
+  /**
+   * Closes the circuit before the pause is over, e.g. once an operator cleared the block in the app.
+   */
+  resume() {
+    this.pausedUntil = 0;
+    this.pauseReason = null;
+    this.logger.info('Outbound sending resumed');
+  }
+
+  getStatus() {
+    this.pruneWindows(Date.now());
+    return {
+      queued: this.jobs.length,
+      paused: this.isPaused(),
+      pauseReason: this.pauseReason,
+      pausedUntil: this.isPaused() ? new Date(this.pausedUntil) : null,
+      sentLastMinute: this.globalSends.length,
+      ...this.stats
+    };
+  }
+
+  pruneWindows(now) {
+    this.globalSends = this.globalSends.filter(time => now - time < WINDOW_MS);
+    for (const [threadId, times] of this.threadSends) {
+      const recent = times.filter(time => now - time < WINDOW_MS);
+      if (recent.length) this.threadSends.set(threadId, recent);
+      else this.threadSends.delete(threadId);
+    }
+  }
+
+  // Milliseconds until a thread may send again under its per-minute limit
+  threadWait(threadId, now) {
+    const times = this.threadSends.get(threadId) || [];
+    return times.length < this.threadPerMinute ? 0 : times[0] + WINDOW_MS - now;
+  }
+
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+    try {
+      while (this.jobs.length > 0) {
+        // Nothing goes out while the circuit is open, whatever put the job back in the queue
+        if (this.isPaused()) {
+          const dropped = this.jobs.splice(0);
+          dropped.forEach(job => this.rejectPaused(job));
+          break;
+        }
+        const now = Date.now();
+        this.pruneWindows(now);
+
+        const globalWait = this.globalSends.length < this.globalPerMinute ? 0 : this.globalSends[0] + WINDOW_MS - now;
+        // First job whose thread is under its limit, so one busy thread does not hold up the others
+        const index = this.jobs.findIndex(job => this.threadWait(job.threadId, now) === 0);
+        if (globalWait > 0 || index === -1) {
+          const wait = Math.max(globalWait, index === -1 ? Math.min(...this.jobs.map(job => this.threadWait(job.threadId, now))) : 0);
+          this.logger.debug(`Rate limit reached, waiting ${Math.round(wait / 1000)}s (${this.jobs.length} queued)`);
+          await randomUtils.delay(wait);
+          continue;
+        }
+
+        // Human-like gap since the previous send
+        const pace = this.minDelayMs + Math.random() * (this.maxDelayMs - this.minDelayMs);
+        const sinceLast = Date.now() - this.lastSendAt;
+        if (sinceLast < pace) {
+          await randomUtils.delay(pace - sinceLast);
+        }
+
+        const [job] = this.jobs.splice(index, 1);
+        await this.run(job);
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async run(job) {
+    const sentAt = Date.now();
+    this.lastSendAt = sentAt;
+    this.globalSends.push(sentAt);
+    this.threadSends.set(job.threadId, [...(this.threadSends.get(job.threadId) || []), sentAt]);
+
+    try {
+      const result = await job.task();
+      this.stats.sent++;
+      job.resolve(result);
+    } catch (error) {
+      const blockReason = this.getBlockReason(error);
+      if (blockReason) {
+        this.stats.failed++;
+        job.reject(error);
+        await this.openCircuit(blockReason);
+      } else if (this.isTransient(error) && job.attempts < this.maxRetries) {
+        job.attempts++;
+        this.stats.retried++;
+        const backoff = this.retryBaseDelayMs * 2 ** (job.attempts - 1) * (0.5 + Math.random() / 2);
+        this.logger.warn(`Sending ${job.label} to ${job.threadId} failed (${error.message}), retry ${job.attempts}/${this.maxRetries} in ${Math.round(backoff / 1000)}s`);
+        setTimeout(() => {
+          // The circuit may have opened while this job waited for its retry
+          if (this.isPaused()) {
+            this.rejectPaused(job);
+            return;
+          }
+          this.jobs.unshift(job);
+          this.drain();
+        }, backoff);
+      } else {
+        this.stats.failed++;
+        job.reject(error);
+      }
+    }
+  }
+
+  rejectPaused(job) {
+    this.stats.failed++;
+    job.reject(new Error(`Sending to Instagram paused (${this.pauseReason})`));
+  }
+
+  // feedback_required means an action block; checkpoint_required means Instagram wants a security check
+  getBlockReason(error) {
+    const message = `${error.response?.body?.message || ''} ${error.message || ''}`;
+    if (error instanceof IgActionSpamError || message.includes('feedback_required')) return 'feedback_required';
+    if (error instanceof IgCheckpointError || message.includes('checkpoint_required')) return 'checkpoint_required';
+    return null;
+  }
+
+  isTransient(error) {
+    const status = error.response?.statusCode;
+    return error instanceof IgNetworkError || status === 429 || status >= 500 ||
+      ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code);
+  }
+
+  async openCircuit(reason) {
+    this.pausedUntil = Date.now() + this.circuitPauseMs;
+    this.pauseReason = reason;
+
+    const dropped = this.jobs.splice(0);
+    dropped.forEach(job => this.rejectPaused(job));
+    this.logger.error(`Instagram returned ${reason}; sending paused for ${Math.round(this.circuitPauseMs / 60000)} minutes, ${dropped.length} queued message(s) dropped`);
+
+    for (const handler of this.circuitHandlers) {
+      try {
+        await handler({ reason, pausedUntil: new Date(this.pausedUntil), dropped: dropped.length });
+      } catch (error) {
+        this.logger.error('Circuit handler failed:', error.message);
+      }
+    }
+  }
+}
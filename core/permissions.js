@@ -0,0 +1,184 @@
+import { connectDb } from '../utils/db.js';
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+// Lowest to highest; a role includes everything the roles below it may do
+export const ROLES = ['blocked', 'user', 'moderator', 'admin', 'owner'];
+export const DEFAULT_ROLE = 'user';
+
+const rank = (role) => ROLES.indexOf(role);
+
+/**
+ * @param {object} command - A registered command.
+ * @returns {string} The role the command needs; `adminOnly` predates roles and means admin.
+ */
+export function getRequiredRole(command) {
+  return command.role || (command.adminOnly ? 'admin' : DEFAULT_ROLE);
+}
+
+/**
+ * @param {...string} roles - Roles to compare; unknown or missing ones are skipped.
+ * @returns {string} The highest of them, or the default role.
+ */
+export function highestRole(...roles) {
+  return roles.filter(role => ROLES.includes(role)).sort((a, b) => rank(b) - rank(a))[0] || DEFAULT_ROLE;
+}
+
+/**
+ * Roles of Instagram users, keyed on their numeric user ID so renamed or recycled usernames
+ * keep or lose access correctly. Grants live in the `permissions` collection and are either
+ * global or scoped to one thread; a thread grant wins over the global one inside that thread.
+ * The bot account and `admin.ownerIds` are always owners. Usernames in the legacy
+ * `admin.users` list are granted admin by ID the first time they are seen.
+ */
+export class PermissionManager {
+  /**
+   * @param {InstagramBot} instagramBot - The bot, used to recognize its own account.
+   */
+  constructor(instagramBot) {
+    this.instagramBot = instagramBot;
+    this.collection = null;
+    this.grants = new Map(); // User ID -> { global: grant|null, threads: Map<threadId, grant> }
+  }
+
+  /**
+   * Connects to MongoDB and loads every grant into memory.
+   */
+  async initialize() {
+    const db = await connectDb();
+    this.collection = db.collection('permissions');
+    await this.collection.createIndex({ userId: 1 });
+
+    this.grants.clear();
+    for (const grant of await this.collection.find().toArray()) {
+      this.cacheGrant(grant);
+    }
+    logger.info(`🔑 Loaded ${this.grants.size} users with roles`);
+  }
+
+  cacheGrant(grant) {
+    const entry = this.grants.get(grant.userId) || { global: null, threads: new Map() };
+    if (grant.threadId) entry.threads.set(grant.threadId, grant);
+    else entry.global = grant;
+    this.grants.set(grant.userId, entry);
+  }
+
+  isOwner(userId) {
+    const botUserId = this.instagramBot?.ig?.state?.cookieUserId?.toString();
+    return (!!botUserId && userId === botUserId) || config.admin.ownerIds.map(String).includes(userId);
+  }
+
+  /**
+   * Resolves a user's effective role.
+   * @param {string|number} userId - The Instagram user ID.
+   * @param {string} [threadId] - The thread the role is checked in.
+   * @returns {string} One of ROLES.
+   */
+  getRole(userId, threadId = null) {
+    const id = userId?.toString();
+    if (!id) return DEFAULT_ROLE;
+    if (this.isOwner(id)) return 'owner';
+
+    const entry = this.grants.get(id);
+    return (threadId && entry?.threads.get(threadId.toString())?.role) || entry?.global?.role || DEFAULT_ROLE;
+  }
+
+  /**
+   * Resolves the role of a message's sender, migrating legacy `admin.users` usernames on first sight.
+   * @param {object} message - A processed message.
+   * @returns {string} One of ROLES.
+   */
+  async getMessageRole(message) {
+    const userId = message.senderId?.toString();
+    const role = this.getRole(userId, message.threadId);
+    if (role !== DEFAULT_ROLE || this.grants.has(userId) || !this.collection) return role;
+
+    const username = message.senderUsername?.toLowerCase();
+    if (username && config.admin.users.map(user => user.toLowerCase()).includes(username)) {
+      await this.grant(userId, 'admin', { username, grantedBy: 'config admin.users' });
+      logger.info(`🔑 Migrated @${username} from admin.users to admin role by user ID ${userId}`);
+      return 'admin';
+    }
+    return role;
+  }
+
+  /**
+   * @param {string} role - The role held.
+   * @param {string} required - The role needed.
+   * @returns {boolean} Whether `role` is at least `required`.
+   */
+  hasRole(role, required) {
+    return rank(role) >= rank(required || DEFAULT_ROLE);
+  }
+
+  /**
+   * Checks whether someone with `actorRole` may change a user from `currentRole` to `newRole`.
+   * Only owners touch owners; everyone else can only manage roles below their own.
+   * @returns {boolean}
+   */
+  canManage(actorRole, currentRole, newRole = DEFAULT_ROLE) {
+    if (actorRole === 'owner') return true;
+    return rank(currentRole) < rank(actorRole) && rank(newRole) < rank(actorRole);
+  }
+
+  /**
+   * Gives a user a role, globally or in one thread.
+   * @param {string|number} userId - The Instagram user ID.
+   * @param {string} role - One of ROLES.
+   * @param {object} [options]
+   * @param {string} [options.threadId] - Scope the role to this thread.
+   * @param {string} [options.username] - Username at grant time, for listings only.
+   * @param {string} [options.grantedBy] - Who granted it, for listings only.
+   */
+  async grant(userId, role, { threadId = null, username = null, grantedBy = null } = {}) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}". Roles: ${ROLES.join(', ')}`);
+    if (!this.collection) throw new Error('Permissions are not initialized');
+
+    const grant = {
+      _id: `${userId}:${threadId || '*'}`,
+      userId: userId.toString(),
+      threadId: threadId?.toString() || null,
+      role,
+      username,
+      grantedBy,
+      updatedAt: new Date()
+    };
+    await this.collection.replaceOne({ _id: grant._id }, grant, { upsert: true });
+    this.cacheGrant(grant);
+  }
+
+  /**
+   * Removes a user's global or thread-scoped role.
+   * @param {string|number} userId - The Instagram user ID.
+   * @param {object} [options]
+   * @param {string} [options.threadId] - Remove the grant for this thread instead of the global one.
+   * @returns {boolean} True if there was a grant to remove.
+   */
+  async revoke(userId, { threadId = null } = {}) {
+    if (!this.collection) throw new Error('Permissions are not initialized');
+
+    const id = userId.toString();
+    const { deletedCount } = await this.collection.deleteOne({ _id: `${id}:${threadId || '*'}` });
+    const entry = this.grants.get(id);
+    if (entry) {
+      if (threadId) entry.threads.delete(threadId.toString());
+      else entry.global = null;
+      if (!entry.global && entry.threads.size === 0) this.grants.delete(id);
+    }
+    return deletedCount > 0;
+  }
+
+  /**
+   * Lists grants, global ones plus those scoped to a thread.
+   * @param {string} [threadId] - Include grants scoped to this thread.
+   * @returns {object[]} Grant documents, highest role first.
+   */
+  listGrants(threadId = null) {
+    const grants = [];
+    for (const entry of this.grants.values()) {
+      if (entry.global) grants.push(entry.global);
+      if (threadId && entry.threads.has(threadId.toString())) grants.push(entry.threads.get(threadId.toString()));
+    }
+    return grants.sort((a, b) => rank(b.role) - rank(a.role));
+  }
+}
@@ -0,0 +1,72 @@
+import { connectDb } from '../utils/db.js';
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+/**
+ * Remembers which Instagram items were already handled, across restarts.
+ * Item IDs live in `processed_items` with a TTL; each thread also keeps a "last seen"
+ * timestamp cursor in `thread_cursors`, so replays older than the TTL are still rejected
+ * after their IDs have expired.
+ */
+export class ProcessedItemStore {
+  constructor() {
+    this.ttlHours = config.realtime?.processedTtlHours || 72;
+    this.items = null;
+    this.cursors = null;
+    this.cursorCache = new Map(); // Thread ID -> last seen timestamp (microseconds)
+  }
+
+  /**
+   * Connects to MongoDB, creates the TTL index and loads the thread cursors.
+   */
+  async initialize() {
+    const db = await connectDb();
+    this.items = db.collection('processed_items');
+    this.cursors = db.collection('thread_cursors');
+    await this.items.createIndex({ processedAt: 1 }, { expireAfterSeconds: Math.round(this.ttlHours * 3600) });
+
+    for (const cursor of await this.cursors.find().toArray()) {
+      this.cursorCache.set(cursor._id, cursor.lastTimestamp);
+    }
+    logger.info(`📌 Loaded ${this.cursorCache.size} thread cursors (processed items kept ${this.ttlHours}h)`);
+  }
+
+  /**
+   * Records an item as processed unless it already was.
+   * The insert is atomic, so two deliveries racing each other still produce a single claim.
+   * @param {string} itemId - The item ID.
+   * @param {string} [threadId] - The thread the item belongs to.
+   * @param {number} [timestamp] - The item timestamp in microseconds.
+   * @returns {boolean} True if this call claimed the item, false if it was seen before.
+   */
+  async claim(itemId, threadId, timestamp) {
+    // IDs cover the TTL window; older items are judged by the thread cursor, since their IDs may have expired.
+    // Newer out-of-order items are left to the ID check so a late delivery is not mistaken for a replay.
+    const ttlStart = (Date.now() - this.ttlHours * 3600 * 1000) * 1000;
+    if (threadId && timestamp && timestamp < ttlStart && timestamp < (this.cursorCache.get(threadId) || 0)) {
+      return false;
+    }
+
+    try {
+      await this.items.insertOne({ _id: itemId, threadId: threadId || null, timestamp: timestamp || null, processedAt: new Date() });
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    if (threadId && timestamp) {
+      await this.advanceCursor(threadId, timestamp);
+    }
+    return true;
+  }
+
+  async advanceCursor(threadId, timestamp) {
+    if (timestamp <= (this.cursorCache.get(threadId) || 0)) return;
+    this.cursorCache.set(threadId, timestamp);
+    await this.cursors.updateOne(
+      { _id: threadId },
+      { $max: { lastTimestamp: timestamp }, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
@@ -0,0 +1,114 @@
+import { config } from '../config.js';
+
+const WINDOW_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000; // Longer cooldowns are forgotten early
+
+/**
+ * Cooldowns and abuse protection for commands, kept in memory.
+ *
+ * Commands declare `cooldown` in seconds: a number is a per-user cooldown, an object can set
+ * { user, thread, global }. Commands without one get `commands.defaultCooldownSeconds` per user.
+ * On top of that every user may run at most `commands.userPerMinute` commands a minute. Users who
+ * keep hitting their own limits are muted from commands for a while; thread and global cooldowns
+ * are shared, so hitting them does not count against anyone.
+ */
+export class CommandRateLimiter {
+  constructor() {
+    const settings = config.commands || {};
+    this.defaultCooldownMs = (settings.defaultCooldownSeconds ?? 3) * 1000;
+    this.userPerMinute = settings.userPerMinute || 10;
+    this.slowDownReplyMs = (settings.slowDownReplySeconds ?? 30) * 1000;
+    this.muteAfterViolations = settings.muteAfterViolations || 5;
+    this.muteMs = (settings.muteMinutes || 10) * 60 * 1000;
+
+    this.lastUsed = new Map(); // 'user:<id>:<command>' | 'thread:<id>:<command>' | 'global:<command>' -> time
+    this.userRuns = new Map(); // User ID -> command times within the window
+    this.violations = new Map(); // User ID -> limit hits within the window
+    this.mutedUntil = new Map(); // User ID -> time the mute ends
+    this.lastReplyAt = new Map(); // User ID -> time of the last "slow down" reply
+    this.lastPruneAt = Date.now();
+  }
+
+  getCooldowns(command) {
+    const { cooldown } = command;
+    if (typeof cooldown === 'number') return { user: cooldown * 1000, thread: 0, global: 0 };
+    if (cooldown && typeof cooldown === 'object') {
+      return { user: (cooldown.user || 0) * 1000, thread: (cooldown.thread || 0) * 1000, global: (cooldown.global || 0) * 1000 };
+    }
+    return { user: this.defaultCooldownMs, thread: 0, global: 0 };
+  }
+
+  /**
+   * Checks whether a user may run a command now, and records the run if so.
+   * @param {object} command - The registered command.
+   * @param {object} message - The processed message that invoked it.
+   * @returns {object} { allowed: true }, or { allowed: false, reason: 'cooldown'|'muted', retryAfterMs,
+   *   reply } where `reply` says whether the user should be told (throttled, and only once per mute).
+   */
+  check(command, message) {
+    const now = Date.now();
+    this.prune(now);
+    const userId = message.senderId?.toString() || message.senderUsername;
+    const threadId = message.threadId;
+
+    const mutedUntil = this.mutedUntil.get(userId) || 0;
+    if (mutedUntil > now) {
+      return { allowed: false, reason: 'muted', retryAfterMs: mutedUntil - now, reply: false };
+    }
+
+    const cooldowns = this.getCooldowns(command);
+    const wait = (key, cooldownMs) => Math.max(0, (this.lastUsed.get(key) || -Infinity) + cooldownMs - now);
+    const runs = (this.userRuns.get(userId) || []).filter(time => now - time < WINDOW_MS);
+    const userWait = Math.max(
+      wait(`user:${userId}:${command.name}`, cooldowns.user),
+      runs.length < this.userPerMinute ? 0 : runs[0] + WINDOW_MS - now
+    );
+    const sharedWait = Math.max(
+      wait(`thread:${threadId}:${command.name}`, cooldowns.thread),
+      wait(`global:${command.name}`, cooldowns.global)
+    );
+
+    if (userWait > 0) {
+      const violations = [...(this.violations.get(userId) || []), now].filter(time => now - time < WINDOW_MS);
+      if (violations.length >= this.muteAfterViolations) {
+        this.violations.delete(userId);
+        this.mutedUntil.set(userId, now + this.muteMs);
+        return { allowed: false, reason: 'muted', retryAfterMs: this.muteMs, reply: true };
+      }
+      this.violations.set(userId, violations);
+    }
+
+    if (userWait > 0 || sharedWait > 0) {
+      const reply = now - (this.lastReplyAt.get(userId) || 0) >= this.slowDownReplyMs;
+      if (reply) this.lastReplyAt.set(userId, now);
+      return { allowed: false, reason: 'cooldown', retryAfterMs: Math.max(userWait, sharedWait), reply };
+    }
+
+    this.lastUsed.set(`user:${userId}:${command.name}`, now);
+    this.lastUsed.set(`thread:${threadId}:${command.name}`, now);
+    this.lastUsed.set(`global:${command.name}`, now);
+    this.userRuns.set(userId, [...runs, now]);
+    return { allowed: true };
+  }
+
+  // Drops entries that can no longer affect a decision, so the maps do not grow with every user ever seen
+  prune(now) {
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = now;
+    for (const [key, time] of this.lastUsed) {
+      if (now - time > MAX_COOLDOWN_MS) this.lastUsed.delete(key);
+    }
+    for (const map of [this.userRuns, this.violations]) {
+      for (const [userId, times] of map) {
+        if (!times.some(time => now - time < WINDOW_MS)) map.delete(userId);
+      }
+    }
+    for (const [userId, until] of this.mutedUntil) {
+      if (until <= now) this.mutedUntil.delete(userId);
+    }
+    for (const [userId, time] of this.lastReplyAt) {
+      if (now - time > this.slowDownReplyMs) this.lastReplyAt.delete(userId);
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import { connectDb } from '../utils/db.js';
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+/**
+ * Keeps the serialized Instagram client state (`ig.state.serialize()`) in a local JSON file.
+ * Lost when the container is redeployed; use MongoSessionStore there.
+ */
+export class FileSessionStore {
+  constructor(filePath = './session.json') {
+    this.filePath = filePath;
+    this.name = `file ${filePath}`;
+  }
+
+  /**
+   * @returns {object|null} The saved session, or null if there is none.
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(session) {
+    await fs.writeFile(this.filePath, JSON.stringify(session, null, 2));
+  }
+
+  async clear() {
+    await fs.rm(this.filePath, { force: true });
+  }
+}
+
+/**
+ * Keeps the serialized Instagram client state in the `sessions` collection, one document per username.
+ */
+export class MongoSessionStore {
+  constructor(username) {
+    this.username = username;
+    this.name = 'MongoDB';
+    this.collection = null;
+  }
+
+  async getCollection() {
+    if (!this.collection) {
+      const db = await connectDb();
+      this.collection = db.collection('sessions');
+    }
+    return this.collection;
+  }
+
+  async load() {
+    const collection = await this.getCollection();
+    const doc = await collection.findOne({ _id: this.username });
+    return doc?.session || null;
+  }
+
+  async save(session) {
+    const collection = await this.getCollection();
+    await collection.updateOne(
+      { _id: this.username },
+      { $set: { session, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    const collection = await this.getCollection();
+    await collection.deleteOne({ _id: this.username });
+  }
+}
+
+/**
+ * Picks the session store selected by config.instagram.useMongoSession.
+ * @param {string} username - The Instagram username the session belongs to.
+ */
+export function createSessionStore(username) {
+  return config.instagram?.useMongoSession
+    ? new MongoSessionStore(username)
+    : new FileSessionStore();
+}
+
+/**
+ * Imports a session.json left over from file-based sessions into MongoDB.
+ * Does nothing when MongoDB already holds a session, unless `overwrite` is set.
+ * @param {string} username - The Instagram username the session belongs to.
+ * @param {object} [options]
+ * @param {string} [options.filePath='./session.json'] - The file to import.
+ * @param {boolean} [options.overwrite=false] - Replace a session already stored in MongoDB.
+ * @returns {boolean} True if a session was imported.
+ */
+export async function migrateFileSessionToMongo(username, { filePath = './session.json', overwrite = false } = {}) {
+  const fileSession = await new FileSessionStore(filePath).load();
+  if (!fileSession) return false;
+
+  const mongoStore = new MongoSessionStore(username);
+  if (!overwrite && await mongoStore.load()) {
+    logger.debug(`MongoDB already holds a session for @${username}, not importing ${filePath}`);
+    return false;
+  }
+
+  await mongoStore.save(fileSession);
+  logger.info(`📦 Imported ${filePath} into MongoDB session store for @${username}`);
+  return true;
+}
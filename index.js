@@ -17,50 +17,57 @@ class HyperInsta {
   try {
     this.showStartupBanner();
 
-    console.log('🗄️ Connecting to MongoDB...');
+    logger.info('🗄️ Connecting to MongoDB...');
     await connectDb();
-    console.log('✅ MongoDB connected');
-
-    console.log('📱 Connecting to Instagram...');
-    await this.instagramBot.login();
-    console.log('✅ Instagram connected');
-    console.log('DEBUG: InstagramBot ig property exists:', !!this.instagramBot.ig); // Debug log
+    logger.info('✅ MongoDB connected');
 
+    // Telegram comes up first so the admin can be asked for 2FA or challenge codes during login
     if (this.telegramBridge) {
-      console.log('📨 Initializing Telegram...');
-      console.log('DEBUG: Passing instagramBot to TelegramBridge:', !!this.instagramBot, !!this.instagramBot.ig);
+      logger.info('📨 Initializing Telegram...');
       await this.telegramBridge.initialize(this.instagramBot);
-      console.log('✅ Telegram connected');
+      this.instagramBot.setCodeProvider((request) => this.telegramBridge.requestLoginCode(request));
+      logger.info('✅ Telegram connected');
     }
 
-    console.log('🔌 Loading modules...');
-    const moduleManager = new ModuleManager(this.instagramBot);
-    await moduleManager.loadModules();
-    console.log('✅ Modules loaded');
+    logger.info('📱 Connecting to Instagram...');
+    await this.instagramBot.login();
+    logger.info('✅ Instagram connected');
+
+    logger.info('🔌 Loading modules...');
+    this.moduleManager = new ModuleManager(this.instagramBot, this.telegramBridge);
+    await this.moduleManager.loadModules();
+    logger.info('✅ Modules loaded');
 
-    console.log('📨 Initializing message handler...');
-    const messageHandler = new MessageHandler(this.instagramBot, moduleManager, this.telegramBridge);
+    logger.info('📨 Initializing message handler...');
+    const messageHandler = new MessageHandler(this.instagramBot, this.moduleManager, this.telegramBridge);
     this.instagramBot.onMessage((message) => messageHandler.handleMessage(message));
-    console.log('✅ Message handler connected');
+    this.instagramBot.startPendingInboxPoller();
+    await this.moduleManager.ready();
+    logger.info('✅ Message handler connected');
 
     this.showLiveStatus();
 
   } catch (error) {
-    console.error(`❌ Startup failed: ${error.message}`);
-    console.debug(error.stack);
+    logger.error(`Startup failed: ${error.message}`);
+    logger.debug(error.stack);
     if (this.instagramBot) {
       try {
         await this.instagramBot.disconnect();
       } catch (disconnectError) {
-        console.error('❌ Error during cleanup disconnect:', disconnectError.message);
+        logger.error('Error during cleanup disconnect:', disconnectError.message);
       }
     }
     process.exit(1);
   }
 }
 
+  // Banners go through the logger like everything else; JSON-lines output gets one-line versions
   showStartupBanner() {
-    console.log(`
+    if (config.app.logFormat === 'json') {
+      logger.info('Hyper Insta initializing');
+      return;
+    }
+    logger.info(`
 ╔══════════════════════════════════════════════════════════════╗
 ║                                                              ║
 ║    🚀 HYPER INSTA - INITIALIZING                           ║
@@ -73,8 +80,11 @@ class HyperInsta {
 
   showLiveStatus() {
     const uptime = Date.now() - this.startTime;
-    console.clear();
-    console.log(`
+    if (config.app.logFormat === 'json') {
+      logger.info(`Hyper Insta is live (startup ${Math.round(uptime)}ms, Telegram ${this.telegramBridge ? 'bridged' : 'disabled'})`);
+      return;
+    }
+    logger.info(`
 ╔══════════════════════════════════════════════════════════════╗
 ║                                                              ║
 ║    🚀 HYPER INSTA - LIVE & OPERATIONAL                     ║
@@ -97,13 +107,14 @@ class HyperInsta {
     await this.initialize();
 
     process.on('SIGINT', async () => {
-      console.log('\n🛑 Shutting down gracefully...');
+      logger.info('🛑 Shutting down gracefully...');
+      await this.moduleManager?.cleanup();
       await this.instagramBot.disconnect();
-      console.log('✅ Hyper Insta stopped');
+      logger.info('✅ Hyper Insta stopped');
       process.exit(0);
     });
   }
 }
 
 const bot = new HyperInsta();
-bot.start().catch(console.error);
+bot.start().catch(error => logger.error('Fatal error:', error));
@@ -1,13 +1,25 @@
+import { config } from '../config.js';
+import { redactConfig } from '../utils/config-loader.js';
+import { logger } from '../utils/utils.js';
+import { ROLES } from '../core/permissions.js';
+
 export class CoreModule {
-  constructor(instagramBot) {
-    this.instagramBot = instagramBot;
+  static meta = {
+    name: 'core',
+    version: '1.0.0',
+    description: 'Core bot commands and system information'
+  };
+
+  constructor(context) {
+    this.context = context;
+    this.instagramBot = context.bot;
+    this.moduleManager = context.moduleManager;
     this.name = 'core';
-    this.description = 'Core bot commands and system information';
+    this.description = CoreModule.meta.description;
     this.startTime = new Date();
     this.messageCount = 0;
     this.commandCount = 0;
-    this.logBuffer = [];
-    this.maxLogBuffer = 50;
+    this.maxLogEntries = 50;
     this.commands = {};
     this.setupCommands();
   }
@@ -17,6 +29,7 @@ export class CoreModule {
       handler: this.handlePing.bind(this),
       description: 'Test bot responsiveness with actual ping',
       usage: '.ping',
+      cooldown: 10, // Sends two messages
       adminOnly: false
     };
 
@@ -31,16 +44,108 @@ export class CoreModule {
       handler: this.handleServer.bind(this),
       description: 'Show server system information',
       usage: '.server',
+      cooldown: { user: 30, thread: 10 },
       adminOnly: false
     };
 
     this.commands['logs'] = {
       handler: this.handleLogs.bind(this),
       description: 'Show recent bot activity logs',
-      usage: '.logs [count]',
+      usage: '.logs [count] [error|warn|info|debug]',
+      aliases: ['log'],
+      args: [
+        { name: 'count', type: 'integer', min: 1, max: this.maxLogEntries, default: 10 },
+        { name: 'level', oneOf: ['error', 'warn', 'info', 'debug'], lowercase: true, default: 'info' }
+      ],
+      adminOnly: true
+    };
+
+    this.commands['config'] = {
+      handler: this.handleConfig.bind(this),
+      description: 'Show the running configuration with secrets hidden',
+      usage: '.config [section]',
+      args: [{ name: 'section' }],
       adminOnly: true
     };
 
+    this.commands['grant'] = {
+      handler: this.handleGrant.bind(this),
+      description: 'Give a user a role, globally or in this thread only',
+      usage: `.grant <@username|userId> <${ROLES.join('|')}> [--thread]`,
+      args: [
+        { name: 'user', required: true },
+        { name: 'role', required: true, oneOf: ROLES, lowercase: true }
+      ],
+      flags: { thread: { alias: 't' } },
+      role: 'admin'
+    };
+
+    this.commands['revoke'] = {
+      handler: this.handleRevoke.bind(this),
+      description: 'Remove a user\'s role, globally or in this thread only',
+      usage: '.revoke <@username|userId> [--thread]',
+      args: [{ name: 'user', required: true }],
+      flags: { thread: { alias: 't' } },
+      role: 'admin'
+    };
+
+    this.commands['roles'] = {
+      handler: this.handleRoles.bind(this),
+      description: 'List granted roles, or show one user\'s role here',
+      usage: '.roles [@username|userId]',
+      args: [{ name: 'user' }],
+      role: 'moderator'
+    };
+
+    this.commands['modules'] = {
+      handler: this.handleModules.bind(this),
+      description: 'List modules and whether they are enabled here',
+      usage: '.modules',
+      role: 'admin'
+    };
+
+    this.commands['load'] = {
+      handler: this.handleLoad.bind(this),
+      description: 'Load a module file from the modules directory',
+      usage: '.load <name>',
+      args: [{ name: 'name', required: true, lowercase: true }],
+      role: 'admin'
+    };
+
+    this.commands['unload'] = {
+      handler: this.handleUnload.bind(this),
+      description: 'Unload a module until it is loaded again or the bot restarts',
+      usage: '.unload <name>',
+      args: [{ name: 'name', required: true, lowercase: true }],
+      role: 'admin'
+    };
+
+    this.commands['reload'] = {
+      handler: this.handleReload.bind(this),
+      description: 'Re-import a module to pick up changes to its file',
+      usage: '.reload <name>',
+      args: [{ name: 'name', required: true, lowercase: true }],
+      role: 'admin'
+    };
+
+    this.commands['enable'] = {
+      handler: this.handleEnable.bind(this),
+      description: 'Enable a module, globally or in this thread only',
+      usage: '.enable <name> [--thread]',
+      args: [{ name: 'name', required: true, lowercase: true }],
+      flags: { thread: { alias: 't' } },
+      role: 'admin'
+    };
+
+    this.commands['disable'] = {
+      handler: this.handleDisable.bind(this),
+      description: 'Disable a module, globally or in this thread only',
+      usage: '.disable <name> [--thread]',
+      args: [{ name: 'name', required: true, lowercase: true }],
+      flags: { thread: { alias: 't' } },
+      role: 'admin'
+    };
+
     this.commands['restart'] = {
       handler: this.handleRestart.bind(this),
       description: 'Restart the bot',
@@ -55,7 +160,6 @@ export class CoreModule {
 
   async process(message) {
     this.messageCount++;
-    this.addToLogBuffer(`[${new Date().toISOString().split('T')[1].split('.')[0]}] @${message.senderUsername}: ${message.text || '[Media]'}`);
     return message;
   }
 
@@ -92,9 +196,9 @@ export class CoreModule {
     await this.sendReply(message, serverInfo);
   }
 
-  async handleLogs(args, message) {
-    const count = Math.min(parseInt(args[0]) || 10, this.maxLogBuffer);
-    const logs = this.logBuffer.slice(-count);
+  async handleLogs({ count, level }, message) {
+    const logs = logger.getRecent({ count, level })
+      .map(entry => `[${entry.time.split('T')[1].split('.')[0]}] ${entry.level.toUpperCase()} ${entry.msg}`);
     
     if (logs.length === 0) {
       await this.sendReply(message, '📝 No logs available');
@@ -105,6 +209,129 @@ export class CoreModule {
     await this.sendReply(message, logsMessage);
   }
 
+  async handleConfig({ section }, message) {
+    const redacted = redactConfig(config);
+
+    if (section && !(section in redacted)) {
+      await this.sendReply(message, `❌ Unknown section "${section}". Sections: ${Object.keys(redacted).join(', ')}`);
+      return;
+    }
+
+    const dump = JSON.stringify(section ? redacted[section] : redacted, null, 2);
+    await this.sendReply(message, `⚙️ **Config${section ? ` (${section})` : ''}**\n\n${dump}`);
+  }
+
+  async handleGrant({ user, role, thread }, message) {
+    const target = await this.resolveUser(user);
+    if (!target) {
+      await this.sendReply(message, `❌ User ${user} not found`);
+      return;
+    }
+
+    const permissions = this.instagramBot.permissions;
+    const threadId = thread ? message.threadId : null;
+    const currentRole = permissions.getRole(target.id, message.threadId);
+    if (!permissions.canManage(message.senderRole, currentRole, role)) {
+      await this.sendReply(message, `❌ You cannot make @${target.username} (${currentRole}) ${role}`);
+      return;
+    }
+
+    await permissions.grant(target.id, role, { threadId, username: target.username, grantedBy: message.senderId?.toString() });
+    logger.info(`🔑 @${message.senderUsername} granted ${role} to @${target.username} (${target.id})${threadId ? ` in thread ${threadId}` : ''}`);
+    await this.sendReply(message, `✅ @${target.username} is now ${role}${threadId ? ' in this thread' : ''}`);
+  }
+
+  async handleRevoke({ user, thread }, message) {
+    const target = await this.resolveUser(user);
+    if (!target) {
+      await this.sendReply(message, `❌ User ${user} not found`);
+      return;
+    }
+
+    const permissions = this.instagramBot.permissions;
+    const threadId = thread ? message.threadId : null;
+    if (!permissions.canManage(message.senderRole, permissions.getRole(target.id, message.threadId))) {
+      await this.sendReply(message, `❌ You cannot change the role of @${target.username}`);
+      return;
+    }
+
+    const removed = await permissions.revoke(target.id, { threadId });
+    logger.info(`🔑 @${message.senderUsername} revoked the ${threadId ? 'thread' : 'global'} role of @${target.username} (${target.id})`);
+    await this.sendReply(message, removed
+      ? `🗑️ Removed ${threadId ? 'thread' : 'global'} role of @${target.username}, now ${permissions.getRole(target.id, message.threadId)}`
+      : `ℹ️ @${target.username} had no ${threadId ? 'thread' : 'global'} role`);
+  }
+
+  async handleRoles({ user }, message) {
+    const permissions = this.instagramBot.permissions;
+    if (user) {
+      const target = await this.resolveUser(user);
+      if (!target) {
+        await this.sendReply(message, `❌ User ${user} not found`);
+        return;
+      }
+      await this.sendReply(message, `🔑 @${target.username} (${target.id}): ${permissions.getRole(target.id, message.threadId)}`);
+      return;
+    }
+
+    const grants = permissions.listGrants(message.threadId);
+    if (grants.length === 0) {
+      await this.sendReply(message, '🔑 No roles granted');
+      return;
+    }
+    const lines = grants.map(grant => `• ${grant.username ? `@${grant.username}` : grant.userId}: ${grant.role}${grant.threadId ? ' (this thread)' : ''}`);
+    await this.sendReply(message, `🔑 **Roles (${grants.length})**\n\n${lines.join('\n')}`);
+  }
+
+  // Accepts @username, username or a numeric user ID
+  async resolveUser(input) {
+    if (/^\d+$/.test(input)) {
+      return { id: input, username: await this.instagramBot.getUsername(input) };
+    }
+    return await this.instagramBot.findUserByUsername(input);
+  }
+
+  async handleModules(args, message) {
+    const manager = this.moduleManager;
+    const lines = manager.modules.map(module => {
+      const name = manager.getModuleName(module);
+      const { version } = manager.getModuleMeta(module);
+      const enabled = manager.isModuleEnabled(name, message.threadId);
+      const { errors, lastError } = manager.getModuleStats(name);
+      return `${enabled ? '✅' : '⛔'} ${name} v${version} (${Object.keys(module.getCommands()).length} commands, ${module.filename})` +
+        (errors ? `\n   ⚠️ ${errors} errors, last: ${lastError}` : '');
+    });
+    const unloaded = manager.getUnloadedModuleFiles();
+
+    await this.sendReply(message, `🔌 **Modules (${manager.modules.length})**\n\n${lines.join('\n')}` +
+      (unloaded.length ? `\n\n📦 Not loaded: ${unloaded.join(', ')}` : ''));
+  }
+
+  async handleLoad({ name }, message) {
+    const module = await this.moduleManager.loadModuleByName(name);
+    await this.sendReply(message, `✅ Loaded ${this.moduleManager.getModuleName(module)}`);
+  }
+
+  async handleUnload({ name }, message) {
+    await this.moduleManager.unloadModule(name);
+    await this.sendReply(message, `🗑️ Unloaded ${name}`);
+  }
+
+  async handleReload({ name }, message) {
+    const module = await this.moduleManager.reloadModule(name);
+    await this.sendReply(message, `🔄 Reloaded ${this.moduleManager.getModuleName(module)}`);
+  }
+
+  async handleEnable({ name, thread }, message) {
+    await this.moduleManager.setModuleEnabled(name, true, thread ? message.threadId : null);
+    await this.sendReply(message, `✅ ${name} enabled${thread ? ' in this thread' : ''}`);
+  }
+
+  async handleDisable({ name, thread }, message) {
+    await this.moduleManager.setModuleEnabled(name, false, thread ? message.threadId : null);
+    await this.sendReply(message, `⛔ ${name} disabled${thread ? ' in this thread' : ''}`);
+  }
+
   async handleRestart(args, message) {
     await this.sendReply(message, '🔄 Restarting...');
     setTimeout(() => process.exit(0), 1000);
@@ -112,7 +339,7 @@ export class CoreModule {
 
   async sendReply(message, text) {
     this.commandCount++;
-    return await this.instagramBot.sendMessage(message.threadId, text);
+    return await this.context.send(message.threadId, text);
   }
 
   getUptime() {
@@ -127,11 +354,4 @@ export class CoreModule {
     if (minutes > 0) return `${minutes}m ${seconds}s`;
     return `${seconds}s`;
   }
-
-  addToLogBuffer(entry) {
-    this.logBuffer.push(entry);
-    if (this.logBuffer.length > this.maxLogBuffer) {
-      this.logBuffer.shift();
-    }
-  }
 }
\ No newline at end of file
@@ -1,8 +1,19 @@
+import { formatUsage, getPrimaryPrefix } from '../core/command-parser.js';
+import { DEFAULT_ROLE, getRequiredRole } from '../core/permissions.js';
+
 export class HelpModule {
-  constructor(moduleManager) {
-    this.moduleManager = moduleManager;
+  static meta = {
+    name: 'help',
+    version: '1.0.0',
+    description: 'Dynamic help system',
+    dependencies: ['core']
+  };
+
+  constructor(context) {
+    this.context = context;
+    this.moduleManager = context.moduleManager;
     this.name = 'help';
-    this.description = 'Dynamic help system';
+    this.description = HelpModule.meta.description;
     this.commands = {};
     this.setupCommands();
   }
@@ -12,6 +23,8 @@ export class HelpModule {
       handler: this.handleHelp.bind(this),
       description: 'Show help for commands or modules',
       usage: '.help [command|module]',
+      aliases: ['h'],
+      args: [{ name: 'query', lowercase: true }],
       adminOnly: false
     };
   }
@@ -24,8 +37,8 @@ export class HelpModule {
     return message;
   }
 
-  async handleHelp(args, message) {
-    const query = args[0]?.toLowerCase();
+  async handleHelp({ query }, message) {
+    const prefix = getPrimaryPrefix();
     
     if (!query) {
       // Show all commands organized by module
@@ -46,12 +59,12 @@ export class HelpModule {
       for (const [moduleName, commands] of Object.entries(moduleGroups)) {
         helpText += `**${moduleName.toUpperCase()}:**\n`;
         for (const cmd of commands) {
-          helpText += `• \`.${cmd.name}\` - ${cmd.description}\n`;
+          helpText += `• \`${prefix}${cmd.name}\` - ${cmd.description}\n`;
         }
         helpText += `\n`;
       }
       
-      helpText += `💡 Use \`.help <command>\` for detailed help`;
+      helpText += `💡 Use \`${prefix}help <command>\` for detailed help`;
       
       await this.sendReply(message, helpText);
       return;
@@ -60,11 +73,12 @@ export class HelpModule {
     // Check if it's a specific command
     const command = this.moduleManager.getCommand(query);
     if (command) {
-      const helpText = `🎯 **${query}**\n\n` +
+      const helpText = `🎯 **${command.name}**\n\n` +
         `📝 ${command.description}\n` +
-        `💡 Usage: \`${command.usage}\`\n` +
+        `💡 Usage: \`${formatUsage(command.name, command)}\`\n` +
+        (command.aliases.length ? `🔀 Aliases: ${command.aliases.map(alias => `${prefix}${alias}`).join(', ')}\n` : '') +
         `🔧 Module: ${command.moduleName}` +
-        (command.adminOnly ? '\n⚠️ Admin only' : '');
+        (getRequiredRole(command) !== DEFAULT_ROLE ? `\n⚠️ Requires ${getRequiredRole(command)} role` : '');
       
       await this.sendReply(message, helpText);
       return;
@@ -75,11 +89,12 @@ export class HelpModule {
     if (module) {
       const commands = module.getCommands();
       const commandList = Object.entries(commands)
-        .map(([name, cmd]) => `• \`.${name}\` - ${cmd.description}`)
+        .map(([name, cmd]) => `• \`${prefix}${name}\` - ${cmd.description}`)
         .join('\n');
       
-      const helpText = `🔌 **${module.name} Module**\n\n` +
-        `📝 ${module.description}\n\n` +
+      const { name, version, description } = this.moduleManager.getModuleMeta(module);
+      const helpText = `🔌 **${name} Module** v${version}\n\n` +
+        `📝 ${description}\n\n` +
         `**Commands:**\n${commandList || 'No commands'}`;
       
       await this.sendReply(message, helpText);
@@ -90,7 +105,6 @@ export class HelpModule {
   }
 
   async sendReply(message, text) {
-    const coreModule = this.moduleManager.getModule('core');
-    return await coreModule.instagramBot.sendMessage(message.threadId, text);
+    return await this.context.send(message.threadId, text);
   }
 }
\ No newline at end of file
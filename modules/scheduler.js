@@ -0,0 +1,472 @@
+import crypto from 'crypto';
+import { CommandUsageError, tokenize, validateArguments } from '../core/command-parser.js';
+import { countCronRuns, nextCronRun, parseCron } from '../utils/cron.js';
+
+const MISSED_POLICIES = ['skip', 'once', 'all'];
+const MAX_TIMER_MS = 60 * 1000; // Wake up at least this often to notice clock jumps and pauses ending
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const TEXT_PREVIEW_LENGTH = 60;
+const INTERVAL_SAMPLE_RUNS = 60; // Upcoming runs checked against minIntervalMinutes
+
+// Reads 10m, 2h30m, 18:30 (the next time the clock shows it) or 2026-12-24T18:30, in server time
+function parseWhen(when, now = new Date()) {
+  const text = when.trim().toLowerCase();
+
+  if (/^(\d+[smhdw])+$/.test(text)) {
+    let ms = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+      ms += Number(amount) * DURATION_UNITS[unit];
+    }
+    if (ms > 0) return new Date(now.getTime() + ms);
+  }
+
+  const time = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (time && Number(time[1]) < 24 && Number(time[2]) < 60) {
+    const date = new Date(now.getTime());
+    date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+    if (date <= now) date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  const full = text.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{1,2}):(\d{2})$/);
+  if (full) {
+    const [, year, month, day, hour, minute] = full.map(Number);
+    const date = new Date(year, month - 1, day, hour, minute);
+    // The Date constructor rolls 2026-02-30 over into March instead of failing
+    if (date.getMonth() === month - 1 && date.getDate() === day && date.getHours() === hour) {
+      if (date <= now) throw new CommandUsageError(`${when} is in the past`);
+      return date;
+    }
+  }
+
+  throw new CommandUsageError(`Cannot read the time "${when}", use e.g. 10m, 2h30m, 18:30 or 2026-12-24T18:30`);
+}
+
+function parseSchedule(expression, minIntervalMinutes) {
+  let cron;
+  try {
+    cron = parseCron(expression);
+  } catch (error) {
+    throw new CommandUsageError(error.message);
+  }
+
+  let run = nextCronRun(cron);
+  if (!run) {
+    throw new CommandUsageError(`Cron expression "${expression}" never runs`);
+  }
+  // Frequent sends get the account action-blocked, so no two upcoming runs may be closer than the minimum
+  for (let i = 0; i < INTERVAL_SAMPLE_RUNS; i++) {
+    const next = nextCronRun(cron, run);
+    if (!next) break;
+    if (next - run < minIntervalMinutes * 60 * 1000) {
+      throw new CommandUsageError(`"${expression}" runs more often than every ${minIntervalMinutes} minutes`);
+    }
+    run = next;
+  }
+  return cron;
+}
+
+function formatTime(date) {
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Scheduled and recurring messages.
+ *
+ * Jobs live in this module's Mongo collection and are sent with InstagramBot.sendMessage, so they
+ * go through the outbound queue. A job that is due more than `graceSeconds` late (the bot was down,
+ * sending was paused or the module was disabled in its thread) follows its missed-run policy:
+ *   skip - drop the missed runs and wait for the next one
+ *   once - send once now, then continue the schedule
+ *   all  - send every missed run of a recurring job, at most `maxCatchUp` of them
+ * Times and cron expressions use the server's time zone.
+ */
+export class SchedulerModule {
+  static meta = {
+    name: 'scheduler',
+    version: '1.0.0',
+    description: 'Scheduled and recurring messages'
+  };
+
+  constructor(context) {
+    this.context = context;
+    this.name = 'scheduler';
+    this.description = SchedulerModule.meta.description;
+    this.settings = {
+      maxJobsPerThread: 20,
+      graceSeconds: 120,
+      maxCatchUp: 5,
+      minIntervalMinutes: 15,
+      defaultMissed: 'once',
+      ...context.config
+    };
+    this.jobs = new Map(); // Job ID -> job document
+    this.collection = null;
+    this.timer = null;
+    this.started = false;
+    this.running = false;
+    this.telegramUnregisters = [];
+    // Shared by the Instagram and Telegram commands, called as (args, requester, parsed)
+    this.handlers = {
+      schedule: this.handleSchedule.bind(this),
+      every: this.handleEvery.bind(this),
+      schedules: this.handleSchedules.bind(this),
+      unschedule: this.handleUnschedule.bind(this)
+    };
+    this.commands = {};
+    this.setupCommands();
+  }
+
+  setupCommands() {
+    const flags = {
+      thread: { type: 'string', alias: 't' },
+      missed: { type: 'string', oneOf: MISSED_POLICIES, lowercase: true }
+    };
+
+    this.commands['schedule'] = {
+      handler: this.instagramHandler('schedule'),
+      description: 'Send a message once at a later time (10m, 2h30m, 18:30 or 2026-12-24T18:30)',
+      usage: `.schedule <when> [--thread <id>] [--missed ${MISSED_POLICIES.join('|')}] <text>`,
+      args: [
+        { name: 'when', required: true },
+        { name: 'text', required: true, rest: true }
+      ],
+      flags
+    };
+
+    this.commands['every'] = {
+      handler: this.instagramHandler('every'),
+      description: 'Send a message on a cron schedule, e.g. .every 0 9 * * mon-fri Standup!',
+      usage: `.every <cron> [--thread <id>] [--missed ${MISSED_POLICIES.join('|')}] <text>`,
+      args: [
+        { name: 'cron', required: true },
+        { name: 'text', required: true, rest: true }
+      ],
+      flags,
+      role: 'moderator' // Recurring sends to a thread are easy to abuse
+    };
+
+    this.commands['schedules'] = {
+      handler: this.instagramHandler('schedules'),
+      description: 'List scheduled messages in this thread, or everywhere with --all (admin)',
+      usage: '.schedules [--all]',
+      args: [],
+      flags: { all: { alias: 'a' } }
+    };
+
+    this.commands['unschedule'] = {
+      handler: this.instagramHandler('unschedule'),
+      description: 'Remove a scheduled message',
+      usage: '.unschedule <id>',
+      args: [{ name: 'id', required: true, lowercase: true }]
+    };
+  }
+
+  getCommands() {
+    return this.commands;
+  }
+
+  async init() {
+    this.collection = await this.context.storage.collection();
+    const jobs = await this.collection.find({}).toArray();
+    for (const job of jobs) {
+      this.jobs.set(job._id, job);
+    }
+    this.context.logger.info(`⏰ Loaded ${jobs.length} scheduled messages`);
+  }
+
+  // Timers and Telegram commands start here: on reload, init runs while the old instance still holds them
+  async onReady() {
+    this.registerTelegramCommands();
+    this.started = true;
+    await this.runDueJobs();
+  }
+
+  async onShutdown() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.telegramUnregisters.forEach(unregister => unregister());
+    this.telegramUnregisters = [];
+  }
+
+  // Handlers see a requester instead of an Instagram message, so Telegram can use them too
+  instagramHandler(name) {
+    return (args, message, parsed) => this.handlers[name](args, this.fromInstagram(message), parsed);
+  }
+
+  fromInstagram(message) {
+    const permissions = this.context.permissions;
+    return {
+      via: 'instagram',
+      threadId: message.threadId,
+      userId: message.senderId?.toString() || null,
+      username: message.senderUsername,
+      isAdmin: permissions.hasRole(message.senderRole, 'admin'),
+      isModerator: permissions.hasRole(message.senderRole, 'moderator'),
+      reply: (text) => this.context.send(message.threadId, text)
+    };
+  }
+
+  // Telegram commands are admin-only; inside a bridged topic they target that topic's thread
+  fromTelegram(msg) {
+    const telegramCommands = this.context.bridge.commands;
+    const topicId = telegramCommands.getCurrentTopicId(msg);
+    return {
+      via: 'telegram',
+      threadId: topicId ? this.context.bridge.findInstagramThreadIdByTopic(topicId) : null,
+      userId: null,
+      username: msg.from?.username || msg.from?.first_name || 'telegram',
+      isAdmin: true,
+      isModerator: true,
+      reply: (text) => telegramCommands.reply(msg, text)
+    };
+  }
+
+  registerTelegramCommands() {
+    const telegramCommands = this.context.bridge?.commands;
+    if (!telegramCommands) return;
+
+    for (const [name, command] of Object.entries(this.commands)) {
+      const usage = `/${command.usage.slice(1)}`;
+      const handler = async (args, msg) => {
+        const requester = this.fromTelegram(msg);
+        try {
+          const text = msg.text.trim().replace(/^\S+\s*/, '');
+          const { values, positional } = validateArguments(command, tokenize(text), text);
+          await this.handlers[name](values, requester, { positional });
+        } catch (error) {
+          if (!(error instanceof CommandUsageError)) throw error;
+          await requester.reply(`❌ ${error.message}\n💡 Usage: ${usage}`);
+        }
+      };
+      this.telegramUnregisters.push(telegramCommands.register(name, { handler, usage }));
+    }
+  }
+
+  async handleSchedule({ when, text, thread, missed }, requester) {
+    const threadId = await this.resolveThread(thread, requester);
+    const job = await this.addJob({ threadId, text, cron: null, nextRunAt: parseWhen(when), missed }, requester);
+    await requester.reply(`⏰ Scheduled #${job._id} for ${formatTime(job.nextRunAt)} (in ${formatDuration(job.nextRunAt - Date.now())})` +
+      (threadId !== requester.threadId ? ` in thread ${threadId}` : ''));
+  }
+
+  async handleEvery({ cron, text, thread, missed }, requester) {
+    let expression = cron;
+    let messageText = text;
+    // An unquoted expression arrives as the first word plus four more at the start of the text,
+    // which may still be followed by flags
+    if (!cron.startsWith('@') && !/\s/.test(cron)) {
+      const fields = text.match(/^(?:\S+\s+){3}\S+/);
+      const remainder = fields ? text.slice(fields[0].length).trimStart() : '';
+      if (!remainder) {
+        throw new CommandUsageError('Give five cron fields (minute hour day month weekday) or a shortcut like @daily, then the text');
+      }
+      expression = `${cron} ${fields[0].split(/\s+/).join(' ')}`;
+      const { values } = validateArguments({ args: [{ name: 'text', required: true, rest: true }], flags: this.commands.every.flags },
+        tokenize(remainder), remainder);
+      messageText = values.text;
+      thread = values.thread ?? thread;
+      missed = values.missed ?? missed;
+    }
+
+    const schedule = parseSchedule(expression, this.settings.minIntervalMinutes);
+    const threadId = await this.resolveThread(thread, requester);
+    const job = await this.addJob({ threadId, text: messageText, cron: schedule.expression, nextRunAt: nextCronRun(schedule), missed }, requester);
+    await requester.reply(`🔁 Scheduled #${job._id} (${job.cron}), next at ${formatTime(job.nextRunAt)}` +
+      (threadId !== requester.threadId ? ` in thread ${threadId}` : ''));
+  }
+
+  async handleSchedules({ all }, requester) {
+    if (all && !requester.isAdmin) {
+      throw new Error('Only admins can list scheduled messages of all threads');
+    }
+    // Telegram outside a bridged topic has no thread of its own
+    const everywhere = all || !requester.threadId;
+    const jobs = [...this.jobs.values()]
+      .filter(job => everywhere || job.threadId === requester.threadId)
+      .sort((a, b) => (a.nextRunAt?.getTime() ?? Infinity) - (b.nextRunAt?.getTime() ?? Infinity));
+
+    if (jobs.length === 0) {
+      await requester.reply(`⏰ No scheduled messages${everywhere ? '' : ' in this thread'}`);
+      return;
+    }
+    await requester.reply(`⏰ Scheduled messages (${jobs.length})\n\n${jobs.map(job => this.formatJob(job, everywhere)).join('\n')}`);
+  }
+
+  async handleUnschedule({ id }, requester) {
+    const jobId = id.replace(/^#/, '');
+    const job = this.jobs.get(jobId);
+    // Jobs of other threads stay invisible to non-admins
+    if (!job || (!requester.isAdmin && job.threadId !== requester.threadId)) {
+      await requester.reply(`❌ No scheduled message #${jobId}`);
+      return;
+    }
+    if (!requester.isModerator && job.createdBy?.userId !== requester.userId) {
+      await requester.reply(`❌ Only whoever scheduled #${jobId} or a moderator can remove it`);
+      return;
+    }
+
+    await this.deleteJob(job);
+    this.context.logger.info(`⏰ @${requester.username} removed #${jobId} (${requester.via})`);
+    await requester.reply(`🗑️ Removed #${jobId}`);
+  }
+
+  // Without --thread the command targets where it was sent; other threads are for admins
+  async resolveThread(thread, requester) {
+    if (!thread || thread === requester.threadId) {
+      if (!requester.threadId) {
+        throw new CommandUsageError('Send this inside a bridged topic or pass --thread <id>');
+      }
+      return requester.threadId;
+    }
+    if (!requester.isAdmin) {
+      throw new Error('Only admins can schedule messages for other threads');
+    }
+    if (!await this.context.bot.getThreadInfo(thread)) {
+      throw new Error(`Instagram thread ${thread} not found`);
+    }
+    return thread;
+  }
+
+  async addJob({ threadId, text, cron, nextRunAt, missed }, requester) {
+    const count = [...this.jobs.values()].filter(job => job.threadId === threadId).length;
+    if (count >= this.settings.maxJobsPerThread) {
+      throw new Error(`Thread ${threadId} already has ${count} scheduled messages, remove one first`);
+    }
+
+    let id;
+    do {
+      id = crypto.randomBytes(3).toString('hex');
+    } while (this.jobs.has(id));
+
+    const job = {
+      _id: id,
+      threadId,
+      text,
+      cron,
+      missed: missed || this.settings.defaultMissed,
+      nextRunAt,
+      createdBy: { userId: requester.userId, username: requester.username, via: requester.via },
+      createdAt: new Date(),
+      runCount: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+    await this.saveJob(job);
+    this.context.logger.info(`⏰ @${requester.username} scheduled #${id} in thread ${threadId} (${cron || formatTime(nextRunAt)}, ${requester.via})`);
+    this.scheduleTimer();
+    return job;
+  }
+
+  async saveJob(job) {
+    await this.collection.replaceOne({ _id: job._id }, job, { upsert: true });
+    this.jobs.set(job._id, job);
+  }
+
+  async deleteJob(job) {
+    this.jobs.delete(job._id);
+    await this.collection.deleteOne({ _id: job._id });
+  }
+
+  formatJob(job, showThread) {
+    const text = job.text.replace(/\s+/g, ' '); // One line per job in the list
+    const preview = text.length > TEXT_PREVIEW_LENGTH ? `${text.slice(0, TEXT_PREVIEW_LENGTH)}…` : text;
+    const when = job.nextRunAt
+      ? `next ${formatTime(job.nextRunAt)}${this.isActive(job) ? '' : ' (paused)'}`
+      : `❌ failed: ${job.lastError}`;
+    return `#${job._id} ${job.cron ? `🔁 ${job.cron}` : '⏰ once'} · ${when} · missed: ${job.missed}\n` +
+      `   "${preview}" by @${job.createdBy?.username || 'unknown'}${showThread ? ` in ${job.threadId}` : ''}`;
+  }
+
+  // Jobs wait while sending is paused or the module is disabled in their thread, and count as missed afterwards
+  isActive(job) {
+    return !this.context.bot.outboundQueue?.isPaused() &&
+      this.context.moduleManager.isModuleEnabled(this.name, job.threadId);
+  }
+
+  // One timer for the earliest job, capped so paused and disabled jobs are looked at again
+  scheduleTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.started) return;
+
+    const next = Math.min(...[...this.jobs.values()]
+      .filter(job => job.nextRunAt && this.isActive(job))
+      .map(job => job.nextRunAt.getTime()));
+    const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.runDueJobs(), delay);
+  }
+
+  async runDueJobs() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const now = Date.now();
+      const due = [...this.jobs.values()]
+        .filter(job => job.nextRunAt && job.nextRunAt.getTime() <= now && this.isActive(job))
+        .sort((a, b) => a.nextRunAt - b.nextRunAt);
+      for (const job of due) {
+        if (!this.started) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      this.context.logger.error('Running scheduled messages failed:', error.message);
+    } finally {
+      this.running = false;
+      this.scheduleTimer();
+    }
+  }
+
+  async runJob(job) {
+    const now = new Date();
+    const lateMs = now - job.nextRunAt;
+    let sends = 1;
+    if (lateMs > this.settings.graceSeconds * 1000) {
+      if (job.missed === 'skip') {
+        sends = 0;
+      } else if (job.missed === 'all' && job.cron) {
+        sends = Math.max(1, countCronRuns(job.cron, new Date(job.nextRunAt.getTime() - 1), now, this.settings.maxCatchUp));
+      }
+      this.context.logger.warn(`⏰ #${job._id} is ${formatDuration(lateMs)} late (missed: ${job.missed}), ${sends ? `sending ${sends}x` : 'skipping'}`);
+    }
+
+    let error = null;
+    for (let i = 0; i < sends && !error; i++) {
+      try {
+        await this.context.send(job.threadId, job.text);
+        job.runCount++;
+        job.lastRunAt = new Date();
+      } catch (sendError) {
+        error = sendError;
+      }
+    }
+    job.lastError = error?.message || null;
+
+    if (this.jobs.get(job._id) !== job) return; // Removed while sending
+    if (error) {
+      this.context.logger.error(`⏰ #${job._id} failed to send to thread ${job.threadId}:`, error.message);
+    }
+
+    if (job.cron) {
+      // Counted from now, so runs missed while sending are not sent twice
+      job.nextRunAt = nextCronRun(job.cron, new Date());
+    } else if (!error) {
+      await this.deleteJob(job);
+      return;
+    } else {
+      job.nextRunAt = null; // Kept so .schedules shows the failure until it is removed
+    }
+    await this.saveJob(job);
+  }
+}
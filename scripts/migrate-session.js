@@ -0,0 +1,20 @@
+// Imports an existing session.json into the MongoDB session store.
+// Usage: npm run migrate-session -- [path/to/session.json] [--overwrite]
+import { config } from '../config.js';
+import { migrateFileSessionToMongo } from '../core/session-store.js';
+import { logger } from '../utils/utils.js';
+
+const args = process.argv.slice(2);
+const filePath = args.find(arg => !arg.startsWith('--')) || './session.json';
+const overwrite = args.includes('--overwrite');
+
+try {
+  const imported = await migrateFileSessionToMongo(config.instagram.username, { filePath, overwrite });
+  if (!imported) {
+    logger.warn(`Nothing imported: ${filePath} is missing or MongoDB already has a session (use --overwrite to replace it)`);
+  }
+  process.exit(0);
+} catch (error) {
+  logger.error('Session migration failed:', error.message);
+  process.exit(1);
+}
@@ -5,7 +5,29 @@ import path from 'path';
 import axios from 'axios';
 import { connectDb } from '../utils/db.js';
 import { config } from '../config.js';
-import { logger } from '../utils/utils.js';
+import { logger, mediaUtils, randomUtils } from '../utils/utils.js';
+import { TelegramCommands } from './commands.js';
+
+// Reactions set on a Telegram message once its media was (or failed to be) sent to Instagram
+const TELEGRAM_MEDIA_REACTIONS = {
+    photo: { success: '🔥', failure: '💔' },
+    sticker: { success: '😁', failure: '💔' },
+    animation: { success: '🎉', failure: '💔' },
+    video: { success: '⚡', failure: '💔' },
+    video_note: { success: '👀', failure: '💔' },
+    voice: { success: '👌', failure: '💔' },
+    audio: { success: '👌', failure: '💔' },
+    document: { success: '✍', failure: '🤷' }
+};
+
+// message_reaction is not delivered unless explicitly requested
+const TELEGRAM_ALLOWED_UPDATES = ['message', 'edited_message', 'message_reaction', 'callback_query'];
+
+// How long a login code request waits for the admin's reply
+const LOGIN_CODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Callback data prefix of the Approve / Decline / Block buttons in the Requests topic
+const REQUEST_CALLBACK_PREFIX = 'req';
 
 class TelegramBridge {
 constructor() {
@@ -13,15 +35,21 @@ constructor() {
     this.telegramBot = null;
     this.botId = null; 
     this.chatMappings = new Map();
+    this.groupThreads = new Map(); // Instagram group thread ID -> { title, participants }
     this.userMappings = new Map();
     this.tempDir = path.join(process.cwd(), 'temp');
     this.db = null;
     this.collection = null;
     this.telegramChatId = null;
     this.creatingTopics = new Map();
+    this.backfilling = new Set();
+    this.requestsTopicId = null;
+    this.pendingLoginCode = null; // { resolve, reject, timer, promptMessageId } while Instagram waits for a code
     this.topicVerificationCache = new Map();
     this.enabled = false;
     this.filters = new Set();
+    this.blockedUsers = new Map(); // Instagram user ID -> { username, blockedAt }
+    this.commands = new TelegramCommands(this);
 }
 
     async initialize(instagramBotInstance) {
@@ -39,7 +67,9 @@ constructor() {
         await this.initializeDatabase();
         await fs.ensureDir(this.tempDir);
         this.telegramBot = new TelegramBot(token, {
-            polling: true
+            polling: {
+                params: { allowed_updates: JSON.stringify(TELEGRAM_ALLOWED_UPDATES) }
+            }
         });
 
         // Fetch bot's own ID
@@ -50,6 +80,7 @@ constructor() {
         await this.setupTelegramHandlers();
         await this.loadMappingsFromDb();
         await this.loadFiltersFromDb();
+        await this.loadBlockedUsersFromDb();
 
         this.setupInstagramHandlers();
 
@@ -69,6 +100,9 @@ constructor() {
             this.collection = this.db.collection('bridge');
             await this.collection.createIndex({ type: 1, 'data.instagramThreadId': 1 }, { unique: true, partialFilterExpression: { type: 'chat' } });
             await this.collection.createIndex({ type: 1, 'data.instagramUserId': 1 }, { unique: true, partialFilterExpression: { type: 'user' } });
+            await this.collection.createIndex({ type: 1, 'data.instagramItemId': 1 }, { partialFilterExpression: { type: 'message' } });
+            await this.collection.createIndex({ type: 1, 'data.telegramMessageId': 1 }, { partialFilterExpression: { type: 'message' } });
+            await this.collection.createIndex({ type: 1, 'data.instagramThreadId': 1 }, { unique: true, partialFilterExpression: { type: 'request' } });
             logger.info('📊 Database initialized for Instagram bridge');
         } catch (error) {
             logger.error('❌ Failed to initialize database for Instagram bridge:', error.message);
@@ -82,11 +116,17 @@ constructor() {
             return;
         }
         try {
-            const mappings = await this.collection.find({}).toArray();
+            const mappings = await this.collection.find({ type: { $in: ['chat', 'user'] } }).toArray();
             for (const mapping of mappings) {
                 switch (mapping.type) {
                     case 'chat':
                         this.chatMappings.set(mapping.data.instagramThreadId, mapping.data.telegramTopicId);
+                        if (mapping.data.isGroup) {
+                            this.groupThreads.set(mapping.data.instagramThreadId, {
+                                title: mapping.data.title || null,
+                                participants: mapping.data.participants || []
+                            });
+                        }
                         break;
                     case 'user':
                         this.userMappings.set(mapping.data.instagramUserId, {
@@ -104,7 +144,7 @@ constructor() {
         }
     }
 
-    async saveChatMapping(instagramThreadId, telegramTopicId) {
+    async saveChatMapping(instagramThreadId, telegramTopicId, groupInfo = null) {
         if (!this.collection) return;
         try {
             const updateData = {
@@ -116,13 +156,25 @@ constructor() {
                     lastActivity: new Date()
                 }
             };
+            if (groupInfo) {
+                Object.assign(updateData.data, {
+                    isGroup: true,
+                    title: groupInfo.title,
+                    participants: groupInfo.participants
+                });
+            }
             await this.collection.updateOne(
                 { type: 'chat', 'data.instagramThreadId': instagramThreadId },
                 { $set: updateData },
                 { upsert: true }
             );
+            // The cache is keyed by topic: forget the old topic and the new one, which may have been checked before
+            this.topicVerificationCache.delete(this.chatMappings.get(instagramThreadId));
+            this.topicVerificationCache.delete(telegramTopicId);
             this.chatMappings.set(instagramThreadId, telegramTopicId);
-            this.topicVerificationCache.delete(instagramThreadId);
+            if (groupInfo) {
+                this.groupThreads.set(instagramThreadId, groupInfo);
+            }
             logger.debug(`✅ Saved chat mapping: ${instagramThreadId} -> ${telegramTopicId}`);
         } catch (error) {
             logger.error('❌ Failed to save Instagram chat mapping:', error.message);
@@ -156,6 +208,71 @@ constructor() {
         }
     }
 
+    // Links one forwarded Instagram item to one Telegram message; media with captions can map to several
+    async saveMessageMapping({ instagramThreadId, instagramItemId, telegramTopicId, telegramMessageId, direction }) {
+        if (!this.collection || !instagramItemId || !telegramMessageId) return;
+        try {
+            await this.collection.insertOne({
+                type: 'message',
+                data: {
+                    instagramThreadId,
+                    instagramItemId: instagramItemId.toString(),
+                    telegramTopicId,
+                    telegramMessageId,
+                    direction,
+                    createdAt: new Date()
+                }
+            });
+            logger.debug(`✅ Saved message mapping: ${instagramItemId} <-> ${telegramMessageId} (${direction})`);
+        } catch (error) {
+            logger.error('❌ Failed to save message mapping:', error.message);
+        }
+    }
+
+    async findTelegramMessageId(instagramItemId) {
+        if (!this.collection || !instagramItemId) return null;
+        try {
+            const mapping = await this.collection.findOne(
+                { type: 'message', 'data.instagramItemId': instagramItemId.toString() },
+                { sort: { 'data.createdAt': 1 } }
+            );
+            return mapping?.data.telegramMessageId || null;
+        } catch (error) {
+            logger.error('❌ Failed to look up Telegram message mapping:', error.message);
+            return null;
+        }
+    }
+
+    async findMessageMappings(filter) {
+        if (!this.collection) return [];
+        try {
+            const query = { type: 'message' };
+            for (const [key, value] of Object.entries(filter)) {
+                query[`data.${key}`] = value;
+            }
+            const mappings = await this.collection.find(query).sort({ 'data.createdAt': 1 }).toArray();
+            return mappings.map(mapping => mapping.data);
+        } catch (error) {
+            logger.error('❌ Failed to look up message mappings:', error.message);
+            return [];
+        }
+    }
+
+    // An edited Telegram message maps to its original item and the edit's follow-up; the newest one wins
+    async findInstagramItemId(telegramMessageId) {
+        if (!this.collection || !telegramMessageId) return null;
+        try {
+            const mapping = await this.collection.findOne(
+                { type: 'message', 'data.telegramMessageId': telegramMessageId },
+                { sort: { 'data.createdAt': -1 } }
+            );
+            return mapping?.data.instagramItemId || null;
+        } catch (error) {
+            logger.error('❌ Failed to look up Instagram message mapping:', error.message);
+            return null;
+        }
+    }
+
     async loadFiltersFromDb() {
         this.filters = new Set();
         if (!this.collection) return;
@@ -170,7 +287,114 @@ constructor() {
         }
     }
 
-    async getOrCreateTopic(instagramThreadId, senderUserId) {
+    async addFilter(word) {
+        const normalized = word.toLowerCase().trim();
+        if (!normalized || this.filters.has(normalized)) return false;
+        if (this.collection) {
+            await this.collection.updateOne(
+                { type: 'filter', word: normalized },
+                { $set: { type: 'filter', word: normalized, createdAt: new Date() } },
+                { upsert: true }
+            );
+        }
+        this.filters.add(normalized);
+        logger.info(`✅ Added filter "${normalized}"`);
+        return true;
+    }
+
+    async removeFilter(word) {
+        const normalized = word.toLowerCase().trim();
+        if (!this.filters.has(normalized)) return false;
+        if (this.collection) {
+            await this.collection.deleteMany({ type: 'filter', word: normalized });
+        }
+        this.filters.delete(normalized);
+        logger.info(`🗑️ Removed filter "${normalized}"`);
+        return true;
+    }
+
+    async loadBlockedUsersFromDb() {
+        this.blockedUsers = new Map();
+        if (!this.collection) return;
+        try {
+            const blockDocs = await this.collection.find({ type: 'block' }).toArray();
+            for (const doc of blockDocs) {
+                this.blockedUsers.set(doc.data.instagramUserId, {
+                    username: doc.data.username,
+                    blockedAt: doc.data.blockedAt
+                });
+            }
+            logger.info(`✅ Loaded ${this.blockedUsers.size} blocked users from DB`);
+        } catch (error) {
+            logger.error('❌ Failed to load blocked users:', error.message);
+        }
+    }
+
+    // Blocked users stay untouched on Instagram; the bridge just stops forwarding them
+    async blockUser(instagramUserId, username = null) {
+        const entry = { username, blockedAt: new Date() };
+        if (this.collection) {
+            await this.collection.updateOne(
+                { type: 'block', 'data.instagramUserId': instagramUserId },
+                { $set: { type: 'block', data: { instagramUserId, ...entry } } },
+                { upsert: true }
+            );
+        }
+        this.blockedUsers.set(instagramUserId, entry);
+        logger.info(`🚫 Blocked Instagram user ${instagramUserId} (@${username || 'unknown'}) from the bridge`);
+    }
+
+    async unblockUser(instagramUserId) {
+        if (!this.blockedUsers.has(instagramUserId)) return false;
+        if (this.collection) {
+            await this.collection.deleteMany({ type: 'block', 'data.instagramUserId': instagramUserId });
+        }
+        this.blockedUsers.delete(instagramUserId);
+        logger.info(`✅ Unblocked Instagram user ${instagramUserId}`);
+        return true;
+    }
+
+    // Own messages are never dropped, so the other side of a conversation stays readable
+    isFromBlockedUser(message) {
+        return !message.isOutgoing && this.blockedUsers.has(message.senderId?.toString());
+    }
+
+    // The filter word an Instagram item starts with, or null if it may be forwarded
+    findMatchingFilter(message) {
+        const textLower = (message.text || '').toLowerCase().trim();
+        for (const word of this.filters) {
+            if (textLower.startsWith(word)) return word;
+        }
+        return null;
+    }
+
+    async deleteChatMapping(instagramThreadId) {
+        if (!this.chatMappings.has(instagramThreadId)) return false;
+        if (this.collection) {
+            await this.collection.deleteMany({ type: 'chat', 'data.instagramThreadId': instagramThreadId });
+        }
+        this.topicVerificationCache.delete(this.chatMappings.get(instagramThreadId));
+        this.chatMappings.delete(instagramThreadId);
+        this.groupThreads.delete(instagramThreadId);
+        logger.info(`🗑️ Removed chat mapping for Instagram thread ${instagramThreadId}`);
+        return true;
+    }
+
+    // Group topics are named after the group title, or its members when it has none
+    getGroupTopicName(thread) {
+        const name = thread.title || thread.users.map(u => `@${u.username}`).join(', ') || thread.threadId;
+        const topicName = `👥 ${name}`;
+        return topicName.length > 128 ? `${topicName.slice(0, 127)}…` : topicName;
+    }
+
+    toGroupInfo(thread) {
+        return {
+            title: thread.title,
+            participants: thread.users.map(u => ({ id: u.id, username: u.username, fullName: u.fullName }))
+        };
+    }
+
+    async getOrCreateTopic(instagramThreadId, senderUserId, thread = null, options = {}) {
         if (this.chatMappings.has(instagramThreadId)) {
             return this.chatMappings.get(instagramThreadId);
         }
@@ -191,7 +415,10 @@ constructor() {
                 let iconColor = 0x7ABA3C;
 
                 const userInfo = this.userMappings.get(senderUserId?.toString());
-                if (userInfo) {
+                if (thread?.isGroup) {
+                    topicName = this.getGroupTopicName(thread);
+                    iconColor = 0x6FB9F0;
+                } else if (userInfo) {
                     topicName = `@${userInfo.username || userInfo.fullName || senderUserId}`;
                 } else if (senderUserId) {
                     topicName = `User ${senderUserId}`;
@@ -207,9 +434,17 @@ constructor() {
                     icon_color: iconColor
                 });
 
-                await this.saveChatMapping(instagramThreadId, topic.message_thread_id);
+                await this.saveChatMapping(instagramThreadId, topic.message_thread_id, thread?.isGroup ? this.toGroupInfo(thread) : null);
                 logger.info(`🆕 Created Telegram topic: "${topicName}" (ID: ${topic.message_thread_id}) for Instagram thread ${instagramThreadId}`);
 
+                // Waiting here keeps messages that arrive meanwhile queued behind the history
+                const backfill = config.telegram?.backfill;
+                if (backfill?.onCreate) {
+                    await this.backfillTopic(instagramThreadId, topic.message_thread_id, backfill.count, {
+                        before: options.backfillBefore
+                    });
+                }
+
                 return topic.message_thread_id;
             } catch (error) {
                 logger.error('❌ Failed to create Telegram topic:', error.message);
@@ -248,18 +483,38 @@ async sendToTelegram(message) {
     try {
         // Get the bot's own Instagram user ID
         const botUserId = this.instagramBot.ig.state.cookieUserId;
-        
-        // Skip messages sent by the bot itself
-        if (message.senderId.toString() === botUserId.toString()) {
+
+        // Skip messages sent by the bot itself, unless they are mirrored outgoing messages
+        if (message.senderId.toString() === botUserId.toString() && !message.isOutgoing) {
             logger.debug(`🤖 Ignoring message from bot itself (Instagram user ID: ${botUserId})`);
             return;
         }
 
+        if (this.isFromBlockedUser(message)) {
+            logger.info(`🚫 Ignoring message from blocked Instagram user ${message.senderId} (@${message.senderUsername})`);
+            return;
+        }
+
         const instagramThreadId = message.threadId;
-        const senderUserId = message.senderId;
+        // Outgoing messages belong to the topic of the person we are talking to
+        const senderUserId = message.isOutgoing ? message.thread?.users?.[0]?.id : message.senderId;
+        if (!senderUserId) {
+            logger.warn(`⚠️ Could not determine the other participant of thread ${instagramThreadId}`);
+            return;
+        }
 
         // Handle user mapping
-        if (!this.userMappings.has(senderUserId.toString())) {
+        if (message.isOutgoing) {
+            if (!this.userMappings.has(senderUserId.toString())) {
+                const recipient = message.thread.users[0];
+                await this.saveUserMapping(senderUserId.toString(), {
+                    username: recipient.username,
+                    fullName: recipient.fullName,
+                    firstSeen: new Date(),
+                    messageCount: 0
+                });
+            }
+        } else if (!this.userMappings.has(senderUserId.toString())) {
             await this.saveUserMapping(senderUserId.toString(), {
                 username: message.senderUsername,
                 fullName: null,
@@ -274,76 +529,455 @@ async sendToTelegram(message) {
         }
 
         // Get or create Telegram topic
-        const topicId = await this.getOrCreateTopic(instagramThreadId, senderUserId);
+        const groupThread = message.isGroup ? message.thread : null;
+        const topicId = await this.getOrCreateTopic(instagramThreadId, senderUserId, groupThread, {
+            backfillBefore: message.timestamp
+        });
         if (!topicId) {
             logger.error(`❌ Could not get/create Telegram topic for Instagram thread ${instagramThreadId}`);
             return;
         }
 
+        // Topics created before the thread was known to be a group are named after their first sender
+        if (groupThread && !this.groupThreads.has(instagramThreadId)) {
+            await this.handleInstagramThreadUpdate({ threadId: instagramThreadId, thread: groupThread, renamed: true, joined: [], left: [] });
+        }
+
         // Filter messages based on content
-        const textLower = (message.text || '').toLowerCase().trim();
-        for (const word of this.filters) { // Corrected syntax: removed erroneous "-"
-            if (textLower.startsWith(word)) {
-                logger.info(`🛑 Blocked Instagram ➝ Telegram message due to filter "${word}": ${message.text}`);
-                return;
-            }
+        const filterWord = this.findMatchingFilter(message);
+        if (filterWord) {
+            logger.info(`🛑 Blocked Instagram ➝ Telegram message due to filter "${filterWord}": ${message.text}`);
+            return;
         }
 
-        // Handle text, voice, and photo messages
-        if (message.type === 'text' || !message.type) {
+        await this.forwardItem(message, topicId);
+
+    } catch (error) {
+        logger.error('❌ Error forwarding message to Telegram:', error.message);
+    }
+}
+
+// Sends one Instagram item into a topic with the handler for its type and records the message mappings
+async forwardItem(message, topicId, contextOverrides = {}) {
+    const context = await this.createForwardContext(message, topicId);
+    Object.assign(context, contextOverrides);
+
+    switch (message.type) {
+        case 'text': {
             let messageText = message.text || '';
             if (!messageText.trim()) {
                 messageText = '[Empty message]';
             }
-            await this.sendSimpleMessage(topicId, messageText, instagramThreadId);
-        } else if (message.type === 'voice_media') {
-            await this.handleInstagramVoice(message, topicId);
-        } else if (['media', 'photo', 'raven_media'].includes(message.type)) {
-            await this.handleInstagramPhoto(message, topicId);
-        } else {
-            logger.info(`🛑 Ignored unsupported message type: ${message.type}`);
-            return;
+            if (context.quote) {
+                messageText = `${context.quote}\n\n${messageText}`;
+            }
+            await this.sendSimpleMessage(topicId, messageText, message.threadId, context);
+            break;
         }
+        case 'voice_media':
+            await this.handleInstagramVoice(message, context);
+            break;
+        case 'media':
+        case 'photo':
+        case 'raven_media':
+            if (this.getVideoUrl(message.raw?.media || message.raw?.visual_media?.media)) {
+                await this.handleInstagramVideo(message, context);
+            } else {
+                await this.handleInstagramPhoto(message, context);
+            }
+            break;
+        case 'clip':
+        case 'felix_share':
+        case 'media_share':
+            await this.handleInstagramShare(message, context);
+            break;
+        case 'reel_share':
+        case 'story_share':
+            await this.handleInstagramStory(message, context);
+            break;
+        case 'link':
+            await this.handleInstagramLink(message, context);
+            break;
+        case 'like':
+            await this.sendSimpleMessage(topicId, message.raw?.like || '❤️', message.threadId, context);
+            break;
+        case 'animated_media':
+            await this.handleInstagramAnimation(message, context);
+            break;
+        case 'location':
+            await this.handleInstagramLocation(message, context);
+            break;
+        case 'action_log':
+            await this.sendSimpleMessage(topicId, `ℹ️ ${message.raw?.action_log?.description || 'Thread updated'}`, message.threadId, context);
+            break;
+        default:
+            logger.info(`ℹ️ No dedicated handler for message type ${message.type}, sending summary`);
+            await this.sendFallbackSummary(message, context);
+    }
+
+    for (const telegramMessageId of context.sentMessageIds) {
+        await this.saveMessageMapping({
+            instagramThreadId: message.threadId,
+            instagramItemId: message.id,
+            telegramTopicId: topicId,
+            telegramMessageId,
+            direction: message.isOutgoing ? 'outgoing' : 'instagram'
+        });
+    }
+}
 
+// Posts the last `count` items of an Instagram thread into its topic, oldest first, with time and author
+async backfillTopic(instagramThreadId, topicId, count, options = {}) {
+    if (this.backfilling.has(instagramThreadId)) {
+        logger.warn(`⏳ Backfill for Instagram thread ${instagramThreadId} already running`);
+        return 0;
+    }
+    this.backfilling.add(instagramThreadId);
+
+    const settings = config.telegram?.backfill || {};
+    const limit = Math.min(Math.max(parseInt(count, 10) || settings.count || 20, 1), settings.maxCount || 200);
+    const delayMs = settings.delayMs ?? 3000;
+
+    try {
+        const thread = await this.instagramBot.getThreadInfo(instagramThreadId);
+        const items = await this.instagramBot.fetchThreadHistory(instagramThreadId, limit, { before: options.before });
+        if (items.length === 0) {
+            return 0;
+        }
+
+        const botUserId = this.instagramBot.ig.state.cookieUserId?.toString();
+        await this.sendSimpleMessage(topicId, `📜 Last ${items.length} messages from Instagram:`, instagramThreadId);
+
+        let forwarded = 0;
+        for (const item of items) {
+            const message = await this.instagramBot.toProcessedMessage(item, instagramThreadId, thread);
+            message.isOutgoing = message.senderId?.toString() === botUserId;
+
+            // History goes through the same blocks and filters as live messages
+            if (this.isFromBlockedUser(message)) {
+                logger.debug(`🚫 Skipping backfilled item ${message.id} from blocked Instagram user ${message.senderId}`);
+                continue;
+            }
+            const filterWord = this.findMatchingFilter(message);
+            if (filterWord) {
+                logger.debug(`🛑 Skipping backfilled item ${message.id} due to filter "${filterWord}"`);
+                continue;
+            }
+
+            const author = message.isOutgoing
+                ? '📤 You'
+                : `${message.senderDisplayName ? `${message.senderDisplayName} ` : ''}(@${message.senderUsername})`;
+            const time = message.timestamp.toISOString().replace('T', ' ').slice(0, 16);
+            await this.forwardItem(message, topicId, { attribution: `🕒 ${time} UTC · ${author}` });
+            forwarded++;
+
+            // Telegram allows about 20 messages per minute into one group
+            await randomUtils.delay(delayMs);
+        }
+
+        await this.sendSimpleMessage(topicId, '📜 End of history', instagramThreadId);
+        logger.info(`📜 Backfilled ${forwarded} of ${items.length} messages into topic ${topicId} for Instagram thread ${instagramThreadId}`);
+        return forwarded;
     } catch (error) {
-        logger.error('❌ Error forwarding message to Telegram:', error.message);
+        logger.error(`❌ Failed to backfill Instagram thread ${instagramThreadId}:`, error.message);
+        return 0;
+    } finally {
+        this.backfilling.delete(instagramThreadId);
     }
 }
 
-async handleInstagramPhoto(message, topicId) {
+// Collects what every Telegram send for one Instagram item needs: the topic, the reply target and the sent IDs
+async createForwardContext(message, topicId) {
+    const context = {
+        topicId,
+        instagramThreadId: message.threadId,
+        replyToMessageId: null,
+        quote: null,
+        attribution: null,
+        sentMessageIds: []
+    };
+
+    // Mark our own messages, and in group threads say who wrote each message
+    if (message.isOutgoing) {
+        context.attribution = message.outgoingSource === 'bot' ? '📤 Sent by bot' : '📤 Sent from Instagram app';
+    } else if (message.isGroup && message.type !== 'action_log') {
+        const name = message.senderDisplayName;
+        context.attribution = name ? `👤 ${name} (@${message.senderUsername})` : `👤 @${message.senderUsername}`;
+    }
+
+    const repliedTo = message.raw?.replied_to_message;
+    if (repliedTo?.item_id) {
+        context.replyToMessageId = await this.findTelegramMessageId(repliedTo.item_id);
+        if (!context.replyToMessageId) {
+            // The quoted item never crossed the bridge, so show what it said instead
+            const quotedText = repliedTo.text || `[${repliedTo.item_type || 'message'}]`;
+            const snippet = quotedText.length > 100 ? `${quotedText.slice(0, 99)}…` : quotedText;
+            context.quote = `↩️ Reply to: "${snippet}"`;
+        }
+    }
+
+    return context;
+}
+
+// Sends into the context's topic as a reply when there is a target, and records the sent message ID
+async sendToTopic(context, method, args, form = {}) {
+    if (context.attribution) {
+        const attribution = context.attribution;
+        context.attribution = null; // Only the first message of an item is attributed
+        if (method === 'sendMessage') {
+            args = [`${attribution}\n${args[0]}`, ...args.slice(1)];
+        } else if (method === 'sendLocation') {
+            await this.sendToTopic(context, 'sendMessage', [attribution]);
+        } else {
+            form = { ...form, caption: this.truncateCaption(form.caption ? `${attribution}\n${form.caption}` : attribution) };
+        }
+    }
+
+    const options = {
+        message_thread_id: context.topicId,
+        ...(context.replyToMessageId ? {
+            reply_to_message_id: context.replyToMessageId,
+            allow_sending_without_reply: true
+        } : {}),
+        ...form
+    };
+
+    let sent;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            sent = await this.telegramBot[method](this.telegramChatId, ...args, options);
+            break;
+        } catch (error) {
+            const retryAfter = error.response?.body?.parameters?.retry_after;
+            if (error.response?.body?.error_code !== 429 || !retryAfter || attempt >= 3) throw error;
+            logger.warn(`⏳ Telegram rate limit hit, retrying ${method} in ${retryAfter}s`);
+            await randomUtils.delay(retryAfter * 1000);
+        }
+    }
+    if (sent?.message_id) {
+        context.sentMessageIds.push(sent.message_id);
+    }
+    return sent;
+}
+
+async handleInstagramPhoto(message, context) {
     try {
         if (!message.raw) {
             logger.warn("⚠️ No raw data available for Instagram photo");
-            await this.sendSimpleMessage(topicId, `[Photo] ${message.text || 'No caption'}`, message.threadId);
+            await this.sendSimpleMessage(context.topicId, `[Photo] ${message.text || 'No caption'}`, message.threadId, context);
             return;
         }
 
         const raw = message.raw;
-        let mediaUrl = null;
+        const mediaUrl = this.getImageUrl(raw.media) || this.getImageUrl(raw.visual_media?.media);
         let caption = message.text || '';
 
-        if (raw.media?.image_versions2?.candidates?.length > 0) {
-            mediaUrl = raw.media.image_versions2.candidates[0].url;
-        } else if (raw.visual_media?.media?.image_versions2?.candidates?.length > 0) {
-            mediaUrl = raw.visual_media.media.image_versions2.candidates[0].url;
-        }
-
         if (mediaUrl) {
-            await this.telegramBot.sendPhoto(this.telegramChatId, mediaUrl, {
-                message_thread_id: topicId,
+            await this.sendToTopic(context, 'sendPhoto', [mediaUrl], {
                 caption: caption || undefined
             });
-            logger.info(`📸 ✅ Sent Instagram photo to Telegram topic ${topicId}`);
+            logger.info(`📸 ✅ Sent Instagram photo to Telegram topic ${context.topicId}`);
         } else {
-            await this.sendSimpleMessage(topicId, `[Photo] ${caption || 'No caption'}`, message.threadId);
+            await this.sendSimpleMessage(context.topicId, `[Photo] ${caption || 'No caption'}`, message.threadId, context);
         }
     } catch (error) {
         logger.error("❌ Error handling Instagram photo:", error.message);
-        await this.sendSimpleMessage(topicId, `[Photo] ${message.text || 'No caption'}`, message.threadId);
+        await this.sendSimpleMessage(context.topicId, `[Photo] ${message.text || 'No caption'}`, message.threadId, context);
+    }
+}
+
+getImageUrl(media) {
+    return media?.image_versions2?.candidates?.[0]?.url
+        || media?.carousel_media?.[0]?.image_versions2?.candidates?.[0]?.url
+        || null;
+}
+
+getVideoUrl(media) {
+    const versions = media?.video_versions || media?.carousel_media?.[0]?.video_versions;
+    return Array.isArray(versions) ? versions[0]?.url || null : versions?.url || null;
+}
+
+getPostUrl(media, kind = 'p') {
+    return media?.code ? `https://www.instagram.com/${kind}/${media.code}/` : null;
+}
+
+truncateCaption(text, limit = 1024) {
+    if (!text) return undefined;
+    return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// Sends an Instagram media object as a Telegram video or photo, falling back to text
+async sendInstagramMedia(context, media, caption, message) {
+    const videoUrl = this.getVideoUrl(media);
+    const imageUrl = this.getImageUrl(media);
+    const form = { caption: this.truncateCaption(caption) };
+
+    if (videoUrl) {
+        try {
+            await this.sendToTopic(context, 'sendVideo', [videoUrl], form);
+            return;
+        } catch (error) {
+            logger.warn(`⚠️ Failed to send video to Telegram, trying thumbnail: ${error.message}`);
+        }
+    }
+    if (imageUrl) {
+        try {
+            await this.sendToTopic(context, 'sendPhoto', [imageUrl], form);
+            return;
+        } catch (error) {
+            logger.warn(`⚠️ Failed to send photo to Telegram: ${error.message}`);
+        }
+    }
+    await this.sendFallbackSummary(message, context, caption);
+}
+
+async sendFallbackSummary(message, context, details = null) {
+    const summary = details || message.text || 'No preview available';
+    await this.sendSimpleMessage(context.topicId, `[${message.type || 'unknown'}] ${summary}`, message.threadId, context);
+}
+
+async handleInstagramVideo(message, context) {
+    try {
+        const media = message.raw?.media || message.raw?.visual_media?.media;
+        await this.sendInstagramMedia(context, media, message.text || undefined, message);
+        logger.info(`🎬 ✅ Sent Instagram video to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error("❌ Error handling Instagram video:", error.message);
+        await this.sendFallbackSummary(message, context);
+    }
+}
+
+// Shared posts, reels (clips) and IGTV (felix) videos
+async handleInstagramShare(message, context) {
+    try {
+        const raw = message.raw || {};
+        let media;
+        let postUrl;
+        if (message.type === 'clip') {
+            media = raw.clip?.clip || raw.clip;
+            postUrl = this.getPostUrl(media, 'reel');
+        } else if (message.type === 'felix_share') {
+            media = raw.felix_share?.video;
+            postUrl = this.getPostUrl(media, 'tv');
+        } else {
+            media = raw.media_share;
+            postUrl = this.getPostUrl(media);
+        }
+
+        const author = media?.user?.username ? `@${media.user.username}` : 'unknown';
+        const parts = [`🔁 Shared ${message.type === 'clip' ? 'reel' : 'post'} by ${author}`];
+        if (media?.caption?.text) parts.push(media.caption.text);
+        if (postUrl) parts.push(postUrl);
+        if (message.text) parts.push(`💬 ${message.text}`);
+
+        await this.sendInstagramMedia(context, media, parts.join('\n\n'), message);
+        logger.info(`🔁 ✅ Sent Instagram ${message.type} to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error(`❌ Error handling Instagram ${message.type}:`, error.message);
+        await this.sendFallbackSummary(message, context);
+    }
+}
+
+// Story replies, reactions and mentions (reel_share) and shared stories (story_share)
+async handleInstagramStory(message, context) {
+    try {
+        const share = message.type === 'reel_share' ? message.raw?.reel_share : message.raw?.story_share;
+        const media = share?.media;
+        const author = media?.user?.username ? `@${media.user.username}` : 'someone';
+
+        let header;
+        if (message.type === 'story_share') {
+            header = `📖 Shared a story by ${author}`;
+        } else if (share?.type === 'mention') {
+            header = '📣 Mentioned you in their story';
+        } else if (share?.type === 'reaction') {
+            header = '😮 Reacted to your story';
+        } else {
+            header = '↩️ Replied to your story';
+        }
+
+        const text = share?.text || message.text;
+        const caption = [header, text && `💬 ${text}`].filter(Boolean).join('\n\n');
+
+        if (!media || share?.message) {
+            // Expired or private stories only come with an explanation message
+            await this.sendSimpleMessage(context.topicId, [caption, share?.message || share?.title].filter(Boolean).join('\n\n'), message.threadId, context);
+            return;
+        }
+
+        await this.sendInstagramMedia(context, media, caption, message);
+        logger.info(`📖 ✅ Sent Instagram ${message.type} to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error(`❌ Error handling Instagram ${message.type}:`, error.message);
+        await this.sendFallbackSummary(message, context);
+    }
+}
+
+async handleInstagramLink(message, context) {
+    try {
+        const link = message.raw?.link;
+        const url = link?.link_context?.link_url;
+        const title = link?.link_context?.link_title;
+        const text = link?.text || message.text || url;
+
+        if (!text) {
+            await this.sendFallbackSummary(message, context);
+            return;
+        }
+
+        const body = [text, title && !text.includes(url) && `🔗 ${title}`, url && !text.includes(url) && url]
+            .filter(Boolean)
+            .join('\n');
+        await this.sendToTopic(context, 'sendMessage', [body], {
+            disable_web_page_preview: false
+        });
+        logger.info(`🔗 ✅ Sent Instagram link to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error("❌ Error handling Instagram link:", error.message);
+        await this.sendFallbackSummary(message, context, message.raw?.link?.text);
+    }
+}
+
+async handleInstagramAnimation(message, context) {
+    try {
+        const images = message.raw?.animated_media?.images?.fixed_height;
+        const animationUrl = images?.mp4 || images?.url;
+        if (!animationUrl) {
+            await this.sendFallbackSummary(message, context, 'GIF');
+            return;
+        }
+
+        await this.sendToTopic(context, 'sendAnimation', [animationUrl], {
+            caption: this.truncateCaption(message.text)
+        });
+        logger.info(`🎞️ ✅ Sent Instagram GIF to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error("❌ Error handling Instagram GIF:", error.message);
+        await this.sendFallbackSummary(message, context, 'GIF');
     }
 }
 
-async sendSimpleMessage(topicId, text, instagramThreadId) {
+async handleInstagramLocation(message, context) {
+    const location = message.raw?.location;
+    const name = [location?.name, location?.address].filter(Boolean).join(', ');
+    try {
+        if (typeof location?.lat !== 'number' || typeof location?.lng !== 'number') {
+            await this.sendFallbackSummary(message, context, name || 'Location');
+            return;
+        }
+
+        await this.sendToTopic(context, 'sendLocation', [location.lat, location.lng]);
+        if (name) {
+            await this.sendSimpleMessage(context.topicId, `📍 ${name}`, message.threadId, context);
+        }
+        logger.info(`📍 ✅ Sent Instagram location to Telegram topic ${context.topicId}`);
+    } catch (error) {
+        logger.error("❌ Error handling Instagram location:", error.message);
+        await this.sendFallbackSummary(message, context, name || 'Location');
+    }
+}
+
+async sendSimpleMessage(topicId, text, instagramThreadId, context = null) {
     try {
         const exists = await this.verifyTopicExists(topicId);
         if (!exists) {
@@ -353,9 +987,11 @@ async sendSimpleMessage(topicId, text, instagramThreadId) {
             return null;
         }
 
-        const sentMessage = await this.telegramBot.sendMessage(this.telegramChatId, text, {
-            message_thread_id: topicId
-        });
+        const sentMessage = context
+            ? await this.sendToTopic(context, 'sendMessage', [text])
+            : await this.telegramBot.sendMessage(this.telegramChatId, text, {
+                message_thread_id: topicId
+            });
         return sentMessage.message_id;
     } catch (error) {
         const desc = error.response?.body?.description || error.message;
@@ -370,11 +1006,11 @@ async sendSimpleMessage(topicId, text, instagramThreadId) {
     }
 }
 
-async handleInstagramVoice(message, topicId) {
+async handleInstagramVoice(message, context) {
     try {
         if (!message.raw || !message.raw.voice_media) {
             logger.warn("⚠️ No voice media data available");
-            await this.sendSimpleMessage(topicId, `🎤 Voice message received`, message.threadId);
+            await this.sendSimpleMessage(context.topicId, `🎤 Voice message received`, message.threadId, context);
             return;
         }
 
@@ -382,24 +1018,23 @@ async handleInstagramVoice(message, topicId) {
         if (voiceMedia && voiceMedia.audio && voiceMedia.audio.audio_src) {
             const audioUrl = voiceMedia.audio.audio_src;
             const duration = voiceMedia.audio.duration || 0;
-            
+
             try {
-                await this.telegramBot.sendVoice(this.telegramChatId, audioUrl, {
-                    message_thread_id: topicId,
+                await this.sendToTopic(context, 'sendVoice', [audioUrl], {
                     duration: duration,
                     caption: message.text || undefined
                 });
-                logger.info(`🎤 ✅ Sent Instagram voice message to Telegram topic ${topicId}`);
+                logger.info(`🎤 ✅ Sent Instagram voice message to Telegram topic ${context.topicId}`);
             } catch (voiceError) {
                 logger.error(`❌ Failed to send voice to Telegram: ${voiceError.message}`);
-                await this.sendSimpleMessage(topicId, `🎤 Voice message (${duration}s)${message.text ? `: ${message.text}` : ''}`, message.threadId);
+                await this.sendSimpleMessage(context.topicId, `🎤 Voice message (${duration}s)${message.text ? `: ${message.text}` : ''}`, message.threadId, context);
             }
         } else {
-            await this.sendSimpleMessage(topicId, `🎤 Voice message received`, message.threadId);
+            await this.sendSimpleMessage(context.topicId, `🎤 Voice message received`, message.threadId, context);
         }
     } catch (error) {
         logger.error("❌ Error handling Instagram voice:", error.message);
-        await this.sendSimpleMessage(topicId, `🎤 Voice message received`, message.threadId);
+        await this.sendSimpleMessage(context.topicId, `🎤 Voice message received`, message.threadId, context);
     }
 }
 //////////////////
@@ -408,6 +1043,13 @@ async handleInstagramVoice(message, topicId) {
         if (!this.telegramBot) return;
 
         this.telegramBot.on('message', this.wrapHandler(async (msg) => {
+            if (this.pendingLoginCode && this.isLoginCodeReply(msg)) {
+                this.resolveLoginCode(msg);
+                return;
+            }
+            if (msg.text?.startsWith('/') && await this.commands.handle(msg)) {
+                return;
+            }
             if (
                 (msg.chat.type === 'supergroup' || msg.chat.type === 'group') &&
                 msg.is_topic_message &&
@@ -419,6 +1061,33 @@ async handleInstagramVoice(message, topicId) {
             }
         }));
 
+        this.telegramBot.on('edited_message', this.wrapHandler(async (msg) => {
+            if (msg.is_topic_message && msg.message_thread_id && msg.chat.id.toString() === this.telegramChatId.toString()) {
+                await this.handleTelegramEdit(msg);
+            }
+        }));
+
+        // node-telegram-bot-api does not emit reaction updates itself
+        const processUpdate = this.telegramBot.processUpdate.bind(this.telegramBot);
+        this.telegramBot.processUpdate = (update) => {
+            if (update.message_reaction) {
+                this.telegramBot.emit('message_reaction', update.message_reaction);
+            }
+            return processUpdate(update);
+        };
+
+        this.telegramBot.on('message_reaction', this.wrapHandler(async (reaction) => {
+            if (reaction.chat.id.toString() === this.telegramChatId.toString()) {
+                await this.handleTelegramReaction(reaction);
+            }
+        }));
+
+        this.telegramBot.on('callback_query', this.wrapHandler(async (query) => {
+            if (query.data?.startsWith(`${REQUEST_CALLBACK_PREFIX}:`)) {
+                await this.handleRequestCallback(query);
+            }
+        }));
+
         this.telegramBot.on('polling_error', (error) => {
             logger.error('Instagram-Telegram polling error:', error.message);
         });
@@ -449,6 +1118,7 @@ async handleInstagramVoice(message, topicId) {
         }
 
         const topicId = msg.message_thread_id;
+        if (topicId === this.requestsTopicId) return;
         const instagramThreadId = this.findInstagramThreadIdByTopic(topicId);
 
         if (!instagramThreadId) {
@@ -457,8 +1127,12 @@ async handleInstagramVoice(message, topicId) {
             return;
         }
 
+        if (msg.text?.startsWith('/') && await this.handleTopicCommand(msg, instagramThreadId)) {
+            return;
+        }
+
         // Filter check
-        const originalText = msg.text?.trim() || '';
+        const originalText = (msg.text || msg.caption)?.trim() || '';
         const textLower = originalText.toLowerCase();
         for (const word of this.filters) {
             if (textLower.startsWith(word)) {
@@ -468,17 +1142,25 @@ async handleInstagramVoice(message, topicId) {
             }
         }
 
-        // Only handle text messages from Telegram to Instagram
         if (msg.text) {
-            const sendResult = await this.instagramBot.sendMessage(instagramThreadId, originalText);
+            const replyToItemId = await this.getReplyTargetItemId(msg);
+            const sendResult = await this.instagramBot.sendMessage(instagramThreadId, originalText, { replyToItemId, origin: 'telegram' });
             if (sendResult) {
+                await this.saveMessageMapping({
+                    instagramThreadId,
+                    instagramItemId: sendResult.itemId,
+                    telegramTopicId: topicId,
+                    telegramMessageId: msg.message_id,
+                    direction: 'telegram'
+                });
                 await this.setReaction(msg.chat.id, msg.message_id, '👍');
             } else {
                 throw new Error('Instagram send failed');
             }
+        } else if (this.getTelegramMediaType(msg)) {
+            await this.handleTelegramMedia(msg, instagramThreadId);
         } else {
-            // For non-text messages, inform user that only text is supported
-            logger.warn(`⚠️ Non-text message received in topic ${topicId}, only text messages are supported from Telegram to Instagram`);
+            logger.warn(`⚠️ Unsupported Telegram message received in topic ${topicId}`);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
         }
 
@@ -488,20 +1170,535 @@ async handleInstagramVoice(message, topicId) {
     }
 }
 
+    // Commands typed inside a topic act on its Instagram thread instead of being forwarded
+    async handleTopicCommand(msg, instagramThreadId) {
+        const [command] = msg.text.trim().split(/\s+/);
+        switch (command.split('@')[0].toLowerCase()) {
+            case '/unsend':
+            case '/del':
+                await this.handleTelegramUnsend(msg, instagramThreadId);
+                return true;
+            case '/backfill': {
+                const count = msg.text.trim().split(/\s+/)[1];
+                await this.setReaction(msg.chat.id, msg.message_id, '👀');
+                const sent = await this.backfillTopic(instagramThreadId, msg.message_thread_id, count);
+                await this.setReaction(msg.chat.id, msg.message_id, sent > 0 ? '👌' : '🤷');
+                return true;
+            }
+            default:
+                return false;
+        }
+    }
+
+    // Telegram does not tell bots about deletions, so operators reply /unsend to the message to remove
+    async handleTelegramUnsend(msg, instagramThreadId) {
+        const target = msg.reply_to_message;
+        if (!target || target.message_id === msg.message_thread_id) {
+            await this.sendSimpleMessage(msg.message_thread_id, 'ℹ️ Reply /unsend to the message you want to remove from Instagram', instagramThreadId);
+            return;
+        }
+
+        const mappings = await this.findMessageMappings({ telegramMessageId: target.message_id, direction: 'telegram' });
+        if (mappings.length === 0) {
+            await this.setReaction(msg.chat.id, msg.message_id, '🤷');
+            return;
+        }
+
+        try {
+            for (const mapping of mappings) {
+                await this.instagramBot.unsendMessage(instagramThreadId, mapping.instagramItemId);
+            }
+            await this.collection.deleteMany({ type: 'message', 'data.telegramMessageId': target.message_id });
+            await this.telegramBot.deleteMessage(msg.chat.id, target.message_id).catch(() => {});
+            await this.telegramBot.deleteMessage(msg.chat.id, msg.message_id).catch(() => {});
+            logger.info(`🗑️ Unsent Telegram message ${target.message_id} from Instagram thread ${instagramThreadId}`);
+        } catch (error) {
+            logger.error('❌ Failed to unsend message on Instagram:', error.message);
+            await this.setReaction(msg.chat.id, msg.message_id, '👎');
+        }
+    }
+
+    async handleTelegramEdit(msg) {
+        const instagramThreadId = this.findInstagramThreadIdByTopic(msg.message_thread_id);
+        const text = (msg.text || msg.caption)?.trim();
+        if (!instagramThreadId || !text) return;
+
+        const itemId = await this.findInstagramItemId(msg.message_id);
+        if (!itemId) {
+            logger.debug(`ℹ️ Edited Telegram message ${msg.message_id} was never sent to Instagram`);
+            return;
+        }
+
+        // Instagram cannot edit items through the private API, so post the new text as a quoted follow-up
+        try {
+            const sendResult = await this.instagramBot.sendMessage(instagramThreadId, `✏️ edited: ${text}`, { replyToItemId: itemId, origin: 'telegram' });
+            if (!sendResult) {
+                throw new Error('Instagram send failed');
+            }
+            // Kept next to the original's mapping so /unsend removes both; lookups pick the newest
+            await this.saveMessageMapping({
+                instagramThreadId,
+                instagramItemId: sendResult.itemId,
+                telegramTopicId: msg.message_thread_id,
+                telegramMessageId: msg.message_id,
+                direction: 'telegram'
+            });
+            await this.setReaction(msg.chat.id, msg.message_id, '✍');
+        } catch (error) {
+            logger.error('❌ Failed to mirror Telegram edit to Instagram:', error.message);
+            await this.setReaction(msg.chat.id, msg.message_id, '👎');
+        }
+    }
+
+    async handleTelegramReaction(reaction) {
+        const mappings = await this.findMessageMappings({ telegramMessageId: reaction.message_id });
+        if (mappings.length === 0) return;
+
+        const emojiOf = (list) => list?.find(r => r.type === 'emoji')?.emoji || null;
+        const newEmoji = emojiOf(reaction.new_reaction);
+        const oldEmoji = emojiOf(reaction.old_reaction);
+        // The newest item, so reactions on an edited message land on the edit
+        const { instagramThreadId, instagramItemId } = mappings[mappings.length - 1];
+
+        try {
+            if (newEmoji) {
+                await this.instagramBot.sendReaction(instagramThreadId, instagramItemId, newEmoji);
+            } else if (oldEmoji) {
+                await this.instagramBot.sendReaction(instagramThreadId, instagramItemId, oldEmoji, true);
+            }
+        } catch (error) {
+            logger.error('❌ Failed to mirror Telegram reaction to Instagram:', error.message);
+        }
+    }
+
+    async handleInstagramItemUpdate(update) {
+        const mappings = await this.findMessageMappings({ instagramItemId: update.itemId });
+        if (mappings.length === 0) {
+            logger.debug(`ℹ️ No Telegram message for Instagram item ${update.itemId}, skipping ${update.kind}`);
+            return;
+        }
+        const [first] = mappings;
+
+        switch (update.kind) {
+            case 'unsend':
+                for (const mapping of mappings) {
+                    try {
+                        await this.telegramBot.deleteMessage(this.telegramChatId, mapping.telegramMessageId);
+                    } catch (error) {
+                        // Messages older than 48 hours cannot be deleted by bots
+                        await this.telegramBot.sendMessage(this.telegramChatId, '🗑️ This message was unsent on Instagram', {
+                            message_thread_id: mapping.telegramTopicId,
+                            reply_to_message_id: mapping.telegramMessageId,
+                            allow_sending_without_reply: true
+                        }).catch(() => {});
+                    }
+                }
+                await this.collection.deleteMany({ type: 'message', 'data.instagramItemId': update.itemId });
+                logger.info(`🗑️ Mirrored unsend of Instagram item ${update.itemId}`);
+                break;
+            case 'edit':
+                try {
+                    await this.telegramBot.editMessageText(update.text, {
+                        chat_id: this.telegramChatId,
+                        message_id: first.telegramMessageId
+                    });
+                } catch (error) {
+                    await this.telegramBot.sendMessage(this.telegramChatId, `✏️ edited: ${update.text}`, {
+                        message_thread_id: first.telegramTopicId,
+                        reply_to_message_id: first.telegramMessageId,
+                        allow_sending_without_reply: true
+                    });
+                }
+                logger.info(`✏️ Mirrored edit of Instagram item ${update.itemId}`);
+                break;
+            case 'reaction': {
+                const applied = await this.setReaction(this.telegramChatId, first.telegramMessageId, update.removed ? null : update.emoji);
+                if (!applied && !update.removed) {
+                    // Telegram only accepts a fixed set of reaction emojis
+                    await this.telegramBot.sendMessage(this.telegramChatId, `${update.emoji} reacted`, {
+                        message_thread_id: first.telegramTopicId,
+                        reply_to_message_id: first.telegramMessageId,
+                        allow_sending_without_reply: true
+                    }).catch(() => {});
+                }
+                break;
+            }
+        }
+    }
+
+    // Keeps a group topic's title and stored participant list in line with the Instagram thread
+    async handleInstagramThreadUpdate(update) {
+        const topicId = this.chatMappings.get(update.threadId);
+        if (!topicId || !update.thread.isGroup) return;
+
+        if (update.renamed) {
+            try {
+                await this.telegramBot.editForumTopic(this.telegramChatId, topicId, {
+                    name: this.getGroupTopicName(update.thread)
+                });
+                logger.info(`✏️ Renamed topic ${topicId} to match Instagram thread ${update.threadId}`);
+            } catch (error) {
+                logger.error('❌ Failed to rename Telegram topic:', error.message);
+            }
+        }
+
+        const notices = [
+            ...update.joined.map(u => `➕ ${u.fullName || u.username} (@${u.username}) joined the group`),
+            ...update.left.map(u => `➖ ${u.fullName || u.username} (@${u.username}) left the group`)
+        ];
+        if (notices.length > 0) {
+            await this.sendSimpleMessage(topicId, notices.join('\n'), update.threadId);
+        }
+
+        const groupInfo = this.toGroupInfo(update.thread);
+        this.groupThreads.set(update.threadId, groupInfo);
+        if (this.collection) {
+            await this.collection.updateOne(
+                { type: 'chat', 'data.instagramThreadId': update.threadId },
+                { $set: { 'data.isGroup': true, 'data.title': groupInfo.title, 'data.participants': groupInfo.participants } }
+            ).catch(error => logger.error('❌ Failed to save group participants:', error.message));
+        }
+    }
+
+    /**
+     * Asks the admin for an Instagram login code and waits for the reply.
+     * The prompt goes to the admin's private chat, or the bridge group when the bot cannot message them.
+     */
+    async requestLoginCode({ kind, message }) {
+        if (!this.telegramBot) {
+            throw new Error('Telegram bridge is not running');
+        }
+        if (this.pendingLoginCode) {
+            this.pendingLoginCode.reject(new Error('Superseded by a newer login code request'));
+            clearTimeout(this.pendingLoginCode.timer);
+        }
+
+        const text = `${message}\n\nReply to this message with the code within ${LOGIN_CODE_TIMEOUT_MS / 60000} minutes.`;
+        const adminUserId = config.telegram?.adminUserId;
+        let prompt;
+        try {
+            if (!adminUserId) throw new Error('telegram.adminUserId is not set');
+            prompt = await this.telegramBot.sendMessage(adminUserId, text);
+        } catch (error) {
+            logger.warn(`⚠️ Could not message the Telegram admin privately (${error.message}), asking in the bridge group`);
+            prompt = await this.telegramBot.sendMessage(this.telegramChatId, text);
+        }
+        logger.info(`🔐 Waiting for Instagram ${kind.replace('_', '-')} code from Telegram admin`);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingLoginCode = null;
+                reject(new Error('Timed out waiting for the login code'));
+            }, LOGIN_CODE_TIMEOUT_MS);
+            this.pendingLoginCode = { resolve, reject, timer, promptChatId: prompt.chat.id, promptMessageId: prompt.message_id };
+        });
+    }
+
+    // Codes count from the admin's private chat or as a reply to the prompt; anyone else is ignored
+    isLoginCodeReply(msg) {
+        if (!this.commands.isAdmin(msg) || !/^\s*\d[\d\s]{3,9}\s*$/.test(msg.text || '')) return false;
+        return msg.chat.type === 'private' || msg.reply_to_message?.message_id === this.pendingLoginCode.promptMessageId;
+    }
+
+    resolveLoginCode(msg) {
+        const { resolve, timer, promptChatId } = this.pendingLoginCode;
+        clearTimeout(timer);
+        this.pendingLoginCode = null;
+        resolve(msg.text.trim());
+        // Do not leave the code sitting in the chat
+        this.telegramBot.deleteMessage(msg.chat.id, msg.message_id).catch(() => {});
+        this.telegramBot.sendMessage(promptChatId, '✅ Code received, completing Instagram login...').catch(() => {});
+        logger.info('🔐 Received Instagram login code from Telegram admin');
+    }
+
+    // Message requests wait in one shared topic, created on first use and remembered across restarts
+    async getRequestsTopicId() {
+        if (this.requestsTopicId) return this.requestsTopicId;
+
+        const doc = await this.collection?.findOne({ type: 'topic', 'data.key': 'requests' });
+        if (doc) {
+            this.requestsTopicId = doc.data.telegramTopicId;
+            return this.requestsTopicId;
+        }
+
+        const topic = await this.telegramBot.createForumTopic(this.telegramChatId, '📥 Message Requests', {
+            icon_color: 0xFFD67E
+        });
+        this.requestsTopicId = topic.message_thread_id;
+        await this.collection?.updateOne(
+            { type: 'topic', 'data.key': 'requests' },
+            { $set: { type: 'topic', data: { key: 'requests', telegramTopicId: this.requestsTopicId, createdAt: new Date() } } },
+            { upsert: true }
+        );
+        logger.info(`🆕 Created Telegram requests topic (ID: ${this.requestsTopicId})`);
+        return this.requestsTopicId;
+    }
+
+    async handlePendingRequest(request) {
+        // Requests already posted before a restart are announced again by the poller
+        if (await this.collection?.findOne({ type: 'request', 'data.instagramThreadId': request.threadId, 'data.status': 'pending' })) return;
+
+        const sender = request.thread?.users?.[0];
+        const name = request.thread?.isGroup
+            ? this.getGroupTopicName(request.thread)
+            : `${sender?.fullName ? `${sender.fullName} ` : ''}(@${sender?.username || 'unknown'})`;
+        const preview = request.items
+            .slice(-5)
+            .map(item => `💬 ${item.text || `[${item.type}]`}`)
+            .join('\n');
+        const text = this.truncateCaption(`📥 Message request from ${name}\n\n${preview || '[no messages]'}`, 4096);
+        const callback = (action) => `${REQUEST_CALLBACK_PREFIX}:${action}:${request.threadId}`;
+
+        const sent = await this.telegramBot.sendMessage(this.telegramChatId, text, {
+            message_thread_id: await this.getRequestsTopicId(),
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Approve', callback_data: callback('approve') },
+                    { text: '🗑️ Decline', callback_data: callback('decline') },
+                    { text: '🚫 Block', callback_data: callback('block') }
+                ]]
+            }
+        });
+
+        await this.collection?.updateOne(
+            { type: 'request', 'data.instagramThreadId': request.threadId },
+            {
+                $set: {
+                    type: 'request',
+                    data: {
+                        instagramThreadId: request.threadId,
+                        instagramUserId: sender?.id || null,
+                        username: sender?.username || null,
+                        telegramMessageId: sent.message_id,
+                        status: 'pending',
+                        createdAt: new Date()
+                    }
+                }
+            },
+            { upsert: true }
+        );
+        logger.info(`📥 Posted message request ${request.threadId} from @${sender?.username || 'unknown'} to Telegram`);
+    }
+
+    // Requests accepted or deleted in the Instagram app leave the pending inbox without a button press
+    async reconcilePendingRequests(pendingThreadIds) {
+        const docs = await this.collection?.find({ type: 'request', 'data.status': 'pending' }).toArray() || [];
+        for (const doc of docs) {
+            const { instagramThreadId, telegramMessageId } = doc.data;
+            if (pendingThreadIds.has(instagramThreadId)) continue;
+
+            await this.collection.updateOne(
+                { type: 'request', 'data.instagramThreadId': instagramThreadId },
+                { $set: { 'data.status': 'resolved', 'data.handledAt': new Date() } }
+            );
+            await this.telegramBot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                chat_id: this.telegramChatId,
+                message_id: telegramMessageId
+            }).catch(error => logger.debug('Could not update request message:', error.message));
+            logger.info(`📥 Message request ${instagramThreadId} was handled on Instagram, removed its buttons`);
+        }
+    }
+
+    async handleRequestCallback(query) {
+        const [, action, instagramThreadId] = query.data.split(':');
+        if (!this.commands.isAdmin(query)) {
+            await this.telegramBot.answerCallbackQuery(query.id, { text: '⛔ Only the bridge admin can handle requests' });
+            return;
+        }
+
+        const doc = await this.collection?.findOne({ type: 'request', 'data.instagramThreadId': instagramThreadId });
+        if (doc && doc.data.status !== 'pending') {
+            await this.telegramBot.answerCallbackQuery(query.id, { text: `Already ${doc.data.status}` });
+            return;
+        }
+
+        let status;
+        try {
+            switch (action) {
+                case 'approve':
+                    await this.instagramBot.approveRequest(instagramThreadId);
+                    status = 'approved';
+                    break;
+                case 'decline':
+                    await this.instagramBot.declineRequest(instagramThreadId);
+                    status = 'declined';
+                    break;
+                case 'block':
+                    if (!doc?.data.instagramUserId) throw new Error('Sender unknown');
+                    await this.instagramBot.blockRequest(instagramThreadId, doc.data.instagramUserId);
+                    status = 'blocked';
+                    break;
+                default:
+                    await this.telegramBot.answerCallbackQuery(query.id);
+                    return;
+            }
+        } catch (error) {
+            logger.error(`❌ Failed to ${action} message request ${instagramThreadId}:`, error.message);
+            await this.telegramBot.answerCallbackQuery(query.id, { text: `❌ ${error.message}` });
+            return;
+        }
+
+        await this.collection?.updateOne(
+            { type: 'request', 'data.instagramThreadId': instagramThreadId },
+            { $set: { 'data.status': status, 'data.handledAt': new Date() } }
+        );
+        await this.telegramBot.answerCallbackQuery(query.id, { text: `✅ Request ${status}` });
+
+        const note = status === 'approved' && this.chatMappings.has(instagramThreadId)
+            ? `✅ Approved: ${this.getTopicLink(this.chatMappings.get(instagramThreadId))}`
+            : `${status === 'approved' ? '✅' : status === 'declined' ? '🗑️' : '🚫'} ${status[0].toUpperCase()}${status.slice(1)} by ${query.from.first_name || query.from.id}`;
+        await this.telegramBot.editMessageText(this.truncateCaption(`${query.message.text}\n\n${note}`, 4096), {
+            chat_id: query.message.chat.id,
+            message_id: query.message.message_id
+        }).catch(error => logger.debug('Could not update request message:', error.message));
+    }
+
+    async getReplyTargetItemId(msg) {
+        const reply = msg.reply_to_message;
+        // Every topic message "replies" to the topic's service message, which is not a real reply
+        if (!reply || reply.message_id === msg.message_thread_id || reply.forum_topic_created) {
+            return null;
+        }
+        return await this.findInstagramItemId(reply.message_id);
+    }
+
+    getTelegramMediaType(msg) {
+        if (msg.photo?.length) return 'photo';
+        if (msg.sticker) return 'sticker';
+        if (msg.animation) return 'animation';
+        if (msg.video) return 'video';
+        if (msg.video_note) return 'video_note';
+        if (msg.voice) return 'voice';
+        if (msg.audio) return 'audio';
+        if (msg.document) return 'document';
+        return null;
+    }
+
+    async handleTelegramMedia(msg, instagramThreadId) {
+        let mediaType = this.getTelegramMediaType(msg);
+        const reactions = TELEGRAM_MEDIA_REACTIONS[mediaType];
+        const tempFiles = [];
+
+        try {
+            let fileId;
+            switch (mediaType) {
+                case 'photo':
+                    fileId = msg.photo[msg.photo.length - 1].file_id;
+                    break;
+                case 'sticker': {
+                    // Animated and video stickers cannot be sent as images, use their thumbnail
+                    const thumbnail = msg.sticker.thumbnail || msg.sticker.thumb;
+                    fileId = (msg.sticker.is_animated || msg.sticker.is_video) ? thumbnail?.file_id : msg.sticker.file_id;
+                    break;
+                }
+                case 'document': {
+                    const mimeType = msg.document.mime_type || '';
+                    if (!mimeType.startsWith('image/') && !mimeType.startsWith('video/')) {
+                        logger.warn(`⚠️ Unsupported document type "${mimeType || 'unknown'}" for Instagram: ${msg.document.file_name || msg.document.file_id}`);
+                        await this.setReaction(msg.chat.id, msg.message_id, reactions.failure);
+                        return;
+                    }
+                    fileId = msg.document.file_id;
+                    break;
+                }
+                default:
+                    fileId = msg[mediaType].file_id;
+            }
+
+            if (!fileId) {
+                throw new Error(`No downloadable file for ${mediaType}`);
+            }
+
+            const downloadedPath = await this.telegramBot.downloadFile(fileId, this.tempDir);
+            tempFiles.push(downloadedPath);
+            logger.debug(`📥 Downloaded Telegram ${mediaType} to ${downloadedPath}`);
+
+            if (mediaType === 'document') {
+                mediaType = msg.document.mime_type.startsWith('image/') ? 'photo' : 'video';
+            }
+
+            // Only photos can be sent as replies; for other media the caption carries the reply instead
+            let replyToItemId = await this.getReplyTargetItemId(msg);
+            let sendResult;
+            switch (mediaType) {
+                case 'photo':
+                case 'sticker': {
+                    const jpegPath = await mediaUtils.toJpeg(downloadedPath);
+                    tempFiles.push(jpegPath);
+                    sendResult = await this.instagramBot.sendPhoto(instagramThreadId, await fs.readFile(jpegPath), { replyToItemId, origin: 'telegram' });
+                    replyToItemId = null;
+                    break;
+                }
+                case 'video':
+                case 'video_note':
+                case 'animation': {
+                    const videoPath = await mediaUtils.toMp4Video(downloadedPath);
+                    tempFiles.push(videoPath);
+                    sendResult = await this.instagramBot.sendVideo(instagramThreadId, await fs.readFile(videoPath), { origin: 'telegram' });
+                    break;
+                }
+                case 'voice':
+                case 'audio': {
+                    const simulateMobile = config.audioMessages?.simulateMobile;
+                    const voicePath = await mediaUtils.toM4aVoice(downloadedPath, { simulateMobile });
+                    tempFiles.push(voicePath);
+                    const duration = msg[mediaType].duration;
+                    sendResult = await this.instagramBot.sendVoice(instagramThreadId, await fs.readFile(voicePath), simulateMobile ? {
+                        waveform: mediaUtils.waveform(duration),
+                        waveformSamplingFrequencyHz: 10,
+                        origin: 'telegram'
+                    } : { origin: 'telegram' });
+                    break;
+                }
+            }
+
+            await this.saveMessageMapping({
+                instagramThreadId,
+                instagramItemId: sendResult?.itemId,
+                telegramTopicId: msg.message_thread_id,
+                telegramMessageId: msg.message_id,
+                direction: 'telegram'
+            });
+
+            if (msg.caption?.trim()) {
+                await this.instagramBot.sendMessage(instagramThreadId, msg.caption.trim(), { replyToItemId, origin: 'telegram' });
+            }
+
+            logger.info(`📤 Sent Telegram ${mediaType} to Instagram thread ${instagramThreadId}`);
+            await this.setReaction(msg.chat.id, msg.message_id, reactions.success);
+        } catch (error) {
+            logger.error(`❌ Failed to send Telegram ${mediaType} to Instagram:`, error.message);
+            await this.setReaction(msg.chat.id, msg.message_id, reactions.failure);
+        } finally {
+            for (const file of tempFiles) {
+                await fs.remove(file).catch(() => {});
+            }
+        }
+    }
+
+    // Pass a null emoji to clear the reaction; resolves to whether Telegram accepted it
     async setReaction(chatId, messageId, emoji) {
         try {
             const token = config.telegram?.botToken;
-            if (!token) return;
+            if (!token) return false;
             await axios.post(`https://api.telegram.org/bot${token}/setMessageReaction`, {
                 chat_id: chatId,
                 message_id: messageId,
-                reaction: [{ type: 'emoji', emoji: emoji }]
+                reaction: emoji ? [{ type: 'emoji', emoji: emoji }] : []
             });
+            return true;
         } catch (err) {
             logger.debug('❌ Failed to set reaction:', err?.response?.data?.description || err.message);
+            return false;
         }
     }
 
+    // Private supergroup links use the chat ID without its -100 prefix
+    getTopicLink(topicId) {
+        const chatId = this.telegramChatId.toString().replace(/^-100/, '');
+        return `https://t.me/c/${chatId}/${topicId}`;
+    }
+
     findInstagramThreadIdByTopic(topicId) {
         for (const [threadId, topic] of this.chatMappings.entries()) {
             if (topic === topicId) {
@@ -511,12 +1708,56 @@ async handleInstagramVoice(message, topicId) {
         return null;
     }
 
+    /**
+     * Alerts the bridge group and the admin that Instagram blocked sending and the outbound queue paused.
+     */
+    async handleOutboundCircuitOpen({ reason, pausedUntil, dropped }) {
+        const text = `🚨 Instagram returned ${reason}, sending is paused until ${pausedUntil.toISOString()}.\n` +
+            `${dropped} queued message(s) were dropped. Check the account in the Instagram app, then use /queue resume to send again.`;
+        const recipients = new Set([this.telegramChatId, config.telegram?.adminUserId].filter(Boolean).map(String));
+        for (const chatId of recipients) {
+            try {
+                await this.telegramBot.sendMessage(chatId, text);
+            } catch (error) {
+                logger.error(`❌ Could not send outbound pause alert to ${chatId}:`, error.message);
+            }
+        }
+    }
+
     setupInstagramHandlers() {
         if (!this.instagramBot || !this.instagramBot.ig) {
             logger.warn('⚠️ Instagram bot instance not linked, cannot set up Instagram handlers');
             return;
         }
 
+        this.instagramBot.onItemUpdate(this.wrapHandler(async (update) => {
+            if (this.enabled) {
+                await this.handleInstagramItemUpdate(update);
+            }
+        }));
+
+        this.instagramBot.onThreadUpdate(this.wrapHandler(async (update) => {
+            if (this.enabled) {
+                await this.handleInstagramThreadUpdate(update);
+            }
+        }));
+
+        this.instagramBot.onPendingRequest(this.wrapHandler(async (request) => {
+            if (this.enabled) {
+                await this.handlePendingRequest(request);
+            }
+        }));
+
+        this.instagramBot.onPendingInboxChecked(this.wrapHandler(async (pendingThreadIds) => {
+            if (this.enabled) {
+                await this.reconcilePendingRequests(pendingThreadIds);
+            }
+        }));
+
+        this.instagramBot.outboundQueue.onCircuitOpen(this.wrapHandler(async (event) => {
+            await this.handleOutboundCircuitOpen(event);
+        }));
+
         logger.info('📱 Instagram event handlers set up for Telegram bridge');
     }
 
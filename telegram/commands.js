@@ -0,0 +1,347 @@
+import { config } from '../config.js';
+import { logger } from '../utils/utils.js';
+
+// Telegram caps message text at 4096 characters
+const MAX_REPLY_LENGTH = 4000;
+
+/**
+ * Admin commands for managing the bridge from Telegram, either in a private chat
+ * with the bot or inside the bridged group.
+ */
+class TelegramCommands {
+    constructor(bridge) {
+        this.bridge = bridge;
+        this.startTime = new Date();
+        this.commands = {
+            filter: { handler: this.handleFilter.bind(this), usage: '/filter add|remove|list [word]' },
+            status: { handler: this.handleStatus.bind(this), usage: '/status' },
+            mappings: { handler: this.handleMappings.bind(this), usage: '/mappings' },
+            unmap: { handler: this.handleUnmap.bind(this), usage: '/unmap [igThreadId] (defaults to this topic)' },
+            remap: { handler: this.handleRemap.bind(this), usage: '/remap <igThreadId> [topicId] (defaults to this topic)' },
+            block: { handler: this.handleBlock.bind(this), usage: '/block [@username|userId] (lists blocked users without one)' },
+            unblock: { handler: this.handleUnblock.bind(this), usage: '/unblock <@username|userId>' },
+            dm: { handler: this.handleDm.bind(this), usage: '/dm <@username> [text]' },
+            queue: { handler: this.handleQueue.bind(this), usage: '/queue [resume]' },
+            restart: { handler: this.handleRestart.bind(this), usage: '/restart' },
+            help: { handler: this.handleHelp.bind(this), usage: '/help' }
+        };
+    }
+
+    /**
+     * Adds a command on behalf of a module. Like the built-in ones it is admin-only.
+     * @param {string} name - The command name without the slash.
+     * @param {object} entry - { handler(args, msg), usage }.
+     * @returns {Function} Removes the command again, e.g. when the module unloads.
+     */
+    register(name, entry) {
+        if (this.commands[name]) {
+            throw new Error(`Telegram command /${name} already exists`);
+        }
+        this.commands[name] = entry;
+        return () => {
+            if (this.commands[name] === entry) delete this.commands[name];
+        };
+    }
+
+    isAdmin(msg) {
+        const adminUserId = config.telegram?.adminUserId;
+        return !!adminUserId && msg.from?.id?.toString() === adminUserId.toString();
+    }
+
+    isBridgeChat(msg) {
+        return msg.chat.id.toString() === this.bridge.telegramChatId?.toString();
+    }
+
+    /**
+     * Runs an admin command if the message is one.
+     * @returns {boolean} Whether the message was consumed as a command.
+     */
+    async handle(msg) {
+        const [command, ...args] = msg.text.trim().split(/\s+/);
+        const name = command.slice(1).split('@')[0].toLowerCase();
+        const entry = this.commands[name];
+        if (!entry || (msg.chat.type !== 'private' && !this.isBridgeChat(msg))) {
+            return false;
+        }
+
+        if (!this.isAdmin(msg)) {
+            logger.warn(`⛔ Telegram user ${msg.from?.id} tried admin command /${name}`);
+            if (msg.chat.type !== 'private') {
+                await this.reply(msg, '⛔ This command is restricted to the bridge admin');
+            }
+            return true;
+        }
+
+        try {
+            logger.info(`🛠️ Telegram admin command: ${msg.text}`);
+            await entry.handler(args, msg);
+        } catch (error) {
+            logger.error(`❌ Telegram command /${name} failed:`, error.message);
+            await this.reply(msg, `❌ /${name} failed: ${error.message}`);
+        }
+        return true;
+    }
+
+    async reply(msg, text) {
+        const chunks = [];
+        for (let i = 0; i < text.length; i += MAX_REPLY_LENGTH) {
+            chunks.push(text.slice(i, i + MAX_REPLY_LENGTH));
+        }
+        for (const chunk of chunks) {
+            await this.bridge.telegramBot.sendMessage(msg.chat.id, chunk, {
+                ...(msg.is_topic_message ? { message_thread_id: msg.message_thread_id } : {}),
+                disable_web_page_preview: true
+            });
+        }
+    }
+
+    // Topic the command was typed in, if it was typed inside a bridged topic
+    getCurrentTopicId(msg) {
+        return this.isBridgeChat(msg) && msg.is_topic_message ? msg.message_thread_id : null;
+    }
+
+    async handleFilter(args, msg) {
+        const [action, ...words] = args;
+        const word = words.join(' ');
+
+        switch (action?.toLowerCase()) {
+            case 'add':
+                if (!word) return this.reply(msg, `Usage: ${this.commands.filter.usage}`);
+                return this.reply(msg, await this.bridge.addFilter(word)
+                    ? `✅ Filter added: "${word.toLowerCase()}"`
+                    : `ℹ️ Filter "${word.toLowerCase()}" already exists`);
+            case 'remove':
+            case 'rm':
+                if (!word) return this.reply(msg, `Usage: ${this.commands.filter.usage}`);
+                return this.reply(msg, await this.bridge.removeFilter(word)
+                    ? `🗑️ Filter removed: "${word.toLowerCase()}"`
+                    : `ℹ️ No filter "${word.toLowerCase()}"`);
+            case 'list':
+            case undefined: {
+                const filters = [...this.bridge.filters];
+                return this.reply(msg, filters.length
+                    ? `🛑 Filters (${filters.length}):\n${filters.map(f => `• ${f}`).join('\n')}`
+                    : '🛑 No filters set');
+            }
+            default:
+                return this.reply(msg, `Usage: ${this.commands.filter.usage}`);
+        }
+    }
+
+    async handleStatus(args, msg) {
+        const memUsage = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+        const instagramUser = config.instagram?.username ? `@${config.instagram.username}` : 'unknown';
+        const status = `🚀 Bridge Status\n\n` +
+            `${this.bridge.enabled ? '✅' : '❌'} Bridge: ${this.bridge.enabled ? 'Enabled' : 'Disabled'}\n` +
+            `📱 Instagram: ${instagramUser} (${this.bridge.instagramBot?.isRunning ? 'connected' : 'disconnected'})\n` +
+            `💬 Chats: ${this.bridge.chatMappings.size}\n` +
+            `👤 Users: ${this.bridge.userMappings.size}\n` +
+            `🛑 Filters: ${this.bridge.filters.size}\n` +
+            `🚫 Blocked: ${this.bridge.blockedUsers.size}\n` +
+            `⏱️ Uptime: ${this.getUptime()}\n` +
+            `💾 Memory: ${memUsage}MB`;
+        await this.reply(msg, status);
+    }
+
+    async handleMappings(args, msg) {
+        if (this.bridge.chatMappings.size === 0) {
+            return this.reply(msg, '📊 No chat mappings');
+        }
+
+        const lines = [];
+        for (const [threadId, topicId] of this.bridge.chatMappings.entries()) {
+            const group = this.bridge.groupThreads.get(threadId);
+            lines.push(`• ${group ? `👥 ${group.title || 'Group'} ` : ''}${threadId} → topic ${topicId}`);
+        }
+        await this.reply(msg, `📊 Chat mappings (${lines.length}):\n${lines.join('\n')}`);
+    }
+
+    async handleUnmap(args, msg) {
+        const currentTopicId = this.getCurrentTopicId(msg);
+        const threadId = args[0] || (currentTopicId && this.bridge.findInstagramThreadIdByTopic(currentTopicId));
+        if (!threadId) {
+            return this.reply(msg, `Usage: ${this.commands.unmap.usage}`);
+        }
+
+        await this.reply(msg, await this.bridge.deleteChatMapping(threadId)
+            ? `🗑️ Unmapped Instagram thread ${threadId}; its next message will open a new topic`
+            : `ℹ️ Instagram thread ${threadId} is not mapped`);
+    }
+
+    async handleRemap(args, msg) {
+        const [threadId, topicArg] = args;
+        const topicId = topicArg ? parseInt(topicArg, 10) : this.getCurrentTopicId(msg);
+        if (!threadId || !topicId) {
+            return this.reply(msg, `Usage: ${this.commands.remap.usage}`);
+        }
+
+        const thread = await this.bridge.instagramBot.getThreadInfo(threadId);
+        if (!thread) {
+            return this.reply(msg, `❌ Instagram thread ${threadId} not found`);
+        }
+
+        // A topic can only carry one thread, so drop whatever it carried before
+        const previousThreadId = this.bridge.findInstagramThreadIdByTopic(topicId);
+        if (previousThreadId && previousThreadId !== threadId) {
+            await this.bridge.deleteChatMapping(previousThreadId);
+        }
+        await this.bridge.saveChatMapping(threadId, topicId, thread.isGroup ? this.bridge.toGroupInfo(thread) : null);
+
+        const name = thread.isGroup ? this.bridge.getGroupTopicName(thread) : `@${thread.users[0]?.username || threadId}`;
+        await this.reply(msg, `🔗 Topic ${topicId} now bridges ${name}` +
+            (previousThreadId && previousThreadId !== threadId ? ` (was ${previousThreadId})` : ''));
+    }
+
+    async handleBlock(args, msg) {
+        if (!args[0]) {
+            const blocked = [...this.bridge.blockedUsers.entries()];
+            return this.reply(msg, blocked.length
+                ? `🚫 Blocked users (${blocked.length}):\n${blocked.map(([id, u]) => `• @${u.username || 'unknown'} (${id})`).join('\n')}`
+                : '🚫 No blocked users');
+        }
+
+        const user = await this.resolveInstagramUser(args[0]);
+        if (!user) {
+            return this.reply(msg, `❌ Instagram user ${args[0]} not found`);
+        }
+        await this.bridge.blockUser(user.id, user.username);
+        await this.reply(msg, `🚫 Messages from @${user.username || 'unknown'} (${user.id}) will no longer be forwarded`);
+    }
+
+    async handleUnblock(args, msg) {
+        if (!args[0]) {
+            return this.reply(msg, `Usage: ${this.commands.unblock.usage}`);
+        }
+
+        const user = await this.resolveInstagramUser(args[0]);
+        await this.reply(msg, user && await this.bridge.unblockUser(user.id)
+            ? `✅ Unblocked @${user.username || 'unknown'} (${user.id})`
+            : `ℹ️ ${args[0]} is not blocked`);
+    }
+
+    // Opens a topic for a user who has not messaged us yet, starting the Instagram thread if needed
+    async handleDm(args, msg) {
+        const [target] = args;
+        if (!target) {
+            return this.reply(msg, `Usage: ${this.commands.dm.usage}`);
+        }
+        // Keep the message's own line breaks and spacing
+        const text = msg.text.trim().replace(/^\S+\s+\S+\s*/, '');
+
+        const instagramBot = this.bridge.instagramBot;
+        const user = await instagramBot.findUserByUsername(target);
+        if (!user) {
+            return this.reply(msg, `❌ Instagram user ${target} not found`);
+        }
+
+        const startedAt = new Date();
+        let threadId = await instagramBot.findDirectThread(user.id);
+        let sentItem = null;
+        if (!threadId) {
+            if (!text) {
+                return this.reply(msg, `ℹ️ No conversation with @${user.username} yet, add a first message: /dm @${user.username} <text>`);
+            }
+            sentItem = await instagramBot.sendDirectMessage(user.id, text, { origin: 'telegram' });
+            threadId = sentItem.threadId;
+        }
+
+        if (!this.bridge.userMappings.has(user.id)) {
+            await this.bridge.saveUserMapping(user.id, {
+                username: user.username,
+                fullName: user.fullName,
+                firstSeen: new Date(),
+                messageCount: 0
+            });
+        }
+
+        const topicId = await this.bridge.getOrCreateTopic(threadId, user.id, null, { backfillBefore: startedAt });
+        if (!topicId) {
+            return this.reply(msg, `❌ Could not create a topic for @${user.username} (thread ${threadId})`);
+        }
+
+        if (text) {
+            sentItem ??= await instagramBot.sendMessage(threadId, text, { origin: 'telegram' });
+            // Show the opening message in the topic so the conversation reads in order
+            const posted = await this.bridge.telegramBot.sendMessage(this.bridge.telegramChatId, `📤 ${text}`, {
+                message_thread_id: topicId
+            });
+            await this.bridge.saveMessageMapping({
+                instagramThreadId: threadId,
+                instagramItemId: sentItem.itemId,
+                telegramTopicId: topicId,
+                telegramMessageId: posted.message_id,
+                direction: 'telegram'
+            });
+        }
+
+        await this.reply(msg, `${text ? '✅ Sent to' : '🔗 Topic for'} @${user.username}: ${this.bridge.getTopicLink(topicId)}`);
+    }
+
+    async handleQueue(args, msg) {
+        const queue = this.bridge.instagramBot.outboundQueue;
+        if (args[0]?.toLowerCase() === 'resume') {
+            queue.resume();
+            return this.reply(msg, '▶️ Outbound sending resumed');
+        }
+
+        const status = queue.getStatus();
+        await this.reply(msg, `📤 Outbound Queue\n\n` +
+            `${status.paused ? `⏸️ Paused (${status.pauseReason}) until ${status.pausedUntil.toISOString()}` : '▶️ Sending'}\n` +
+            `📥 Queued: ${status.queued}\n` +
+            `⏱️ Sent last minute: ${status.sentLastMinute}\n` +
+            `✅ Sent: ${status.sent} · 🔁 Retried: ${status.retried} · ❌ Failed: ${status.failed}`);
+    }
+
+    async handleHelp(args, msg) {
+        const usages = Object.values(this.commands).map(c => `• ${c.usage}`);
+        await this.reply(msg, `🛠️ Bridge admin commands:\n${usages.join('\n')}`);
+    }
+
+    async handleRestart(args, msg) {
+        await this.reply(msg, '🔄 Restarting...');
+        setTimeout(() => process.exit(0), 1000);
+    }
+
+    // Accepts a numeric Instagram user ID or a username, checking known users before asking Instagram
+    async resolveInstagramUser(input) {
+        if (/^\d+$/.test(input)) {
+            const known = this.bridge.userMappings.get(input) || this.bridge.blockedUsers.get(input);
+            return { id: input, username: known?.username || null };
+        }
+
+        const username = input.replace(/^@/, '').toLowerCase();
+        for (const [id, user] of this.bridge.userMappings.entries()) {
+            if (user.username?.toLowerCase() === username) {
+                return { id, username: user.username };
+            }
+        }
+        for (const [id, user] of this.bridge.blockedUsers.entries()) {
+            if (user.username?.toLowerCase() === username) {
+                return { id, username: user.username };
+            }
+        }
+
+        try {
+            const id = await this.bridge.instagramBot.ig.user.getIdByUsername(username);
+            return { id: id.toString(), username };
+        } catch (error) {
+            logger.debug(`Could not resolve Instagram user @${username}:`, error.message);
+            return null;
+        }
+    }
+
+    getUptime() {
+        const ms = Date.now() - this.startTime.getTime();
+        const days = Math.floor(ms / 86400000);
+        const hours = Math.floor((ms % 86400000) / 3600000);
+        const minutes = Math.floor((ms % 3600000) / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+
+        if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        if (minutes > 0) return `${minutes}m ${seconds}s`;
+        return `${seconds}s`;
+    }
+}
+
+export { TelegramCommands };
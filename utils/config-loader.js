@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+
+const ENV_PREFIX = 'HYPER_INSTA_';
+const CONFIG_FILE_ENV = `${ENV_PREFIX}CONFIG`;
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+// Every leaf has a type and a default; sections are plain objects of leaves.
+// `secret` leaves are redacted in dumps, `object` leaves are free-form and taken as a whole.
+export const configSchema = {
+  instagram: {
+    username: { type: 'string', default: '', required: true },
+    password: { type: 'string', default: '', secret: true },
+    useMongoSession: { type: 'boolean', default: true }
+  },
+  messageRequests: {
+    autoApprove: { type: 'boolean', default: true },
+    pollIntervalMs: { type: 'number', default: 60000, min: 10000 }
+  },
+  realtime: {
+    reconnectBaseDelayMs: { type: 'number', default: 2000, min: 100 },
+    reconnectMaxDelayMs: { type: 'number', default: 300000, min: 1000 },
+    catchUpThreads: { type: 'number', default: 20, min: 1 }, // Recently active threads checked for missed messages
+    processedTtlHours: { type: 'number', default: 72, min: 1 } // How long handled item IDs are remembered
+  },
+  outbound: {
+    globalPerMinute: { type: 'number', default: 20, min: 1 },
+    threadPerMinute: { type: 'number', default: 6, min: 1 },
+    minDelayMs: { type: 'number', default: 1000, min: 0 }, // Random pause between two sends
+    maxDelayMs: { type: 'number', default: 3000, min: 0 },
+    maxRetries: { type: 'number', default: 3, min: 0 },
+    retryBaseDelayMs: { type: 'number', default: 5000, min: 100 },
+    circuitPauseMinutes: { type: 'number', default: 30, min: 1 } // Pause after feedback_required / checkpoint_required
+  },
+  audioMessages: {
+    simulateMobile: { type: 'boolean', default: true }
+  },
+  telegram: {
+    enabled: { type: 'boolean', default: true },
+    botToken: { type: 'string', default: '', secret: true, pattern: /^\d+:[\w-]{30,}$/, hint: 'expected <bot id>:<secret> from @BotFather' },
+    chatId: { type: 'string', default: '', pattern: /^-100\d+$/, hint: 'expected a forum supergroup ID starting with -100' },
+    adminUserId: { type: 'string', default: '', pattern: /^\d+$/, hint: 'expected a numeric Telegram user ID' },
+    mirrorOutgoing: { type: 'boolean', default: false },
+    backfill: {
+      onCreate: { type: 'boolean', default: false },
+      count: { type: 'number', default: 20, min: 1 },
+      maxCount: { type: 'number', default: 200, min: 1 },
+      delayMs: { type: 'number', default: 3000, min: 0 }
+    }
+  },
+  mongo: {
+    uri: { type: 'string', default: '', required: true, secret: true, pattern: /^mongodb(\+srv)?:\/\//, hint: 'expected a mongodb:// or mongodb+srv:// URI' },
+    dbName: { type: 'string', default: 'hyper_instza' },
+    options: { type: 'object', default: {} }
+  },
+  commands: {
+    prefixes: { type: 'array', default: ['.'] }, // The first one is shown in help and usage texts
+    defaultCooldownSeconds: { type: 'number', default: 3, min: 0 }, // Per user, for commands without their own cooldown
+    userPerMinute: { type: 'number', default: 10, min: 1 }, // Commands one user may run per minute, across all commands
+    slowDownReplySeconds: { type: 'number', default: 30, min: 0 }, // At most one "slow down" reply per user this often
+    muteAfterViolations: { type: 'number', default: 5, min: 1 }, // Rate limit hits within a minute before a mute
+    muteMinutes: { type: 'number', default: 10, min: 1 }
+  },
+  proxy: { type: 'object', default: null },
+  modules: { type: 'object', default: {} },
+  admin: {
+    users: { type: 'array', default: [] }, // Legacy usernames, granted the admin role by user ID when first seen
+    ownerIds: { type: 'array', default: [] } // Instagram user IDs that always have the owner role
+  },
+  app: {
+    logLevel: { type: 'string', default: 'info', oneOf: LOG_LEVELS },
+    logFormat: { type: 'string', default: 'pretty', oneOf: ['pretty', 'json'] },
+    logFile: { type: 'string', default: '' }, // JSON-lines log file, disabled when empty
+    logRotate: { type: 'string', default: 'size', oneOf: ['size', 'daily'] },
+    logMaxSizeMb: { type: 'number', default: 10, min: 1 },
+    logMaxFiles: { type: 'number', default: 5, min: 1 },
+    environment: { type: 'string', default: 'production' } // 'development' reloads modules when their files change
+  }
+};
+
+const isLeaf = (node) => typeof node?.type === 'string';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const toEnvName = (keyPath) => ENV_PREFIX + keyPath
+  .map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+  .join('_');
+
+function walkSchema(schema, visit, keyPath = []) {
+  for (const [key, node] of Object.entries(schema)) {
+    const nodePath = [...keyPath, key];
+    if (isLeaf(node)) {
+      visit(node, nodePath);
+    } else {
+      walkSchema(node, visit, nodePath);
+    }
+  }
+}
+
+function getPath(target, keyPath) {
+  return keyPath.reduce((node, key) => node?.[key], target);
+}
+
+function setPath(target, keyPath, value) {
+  const parent = keyPath.slice(0, -1).reduce((node, key) => (node[key] ??= {}), target);
+  parent[keyPath[keyPath.length - 1]] = value;
+}
+
+function buildDefaults() {
+  const defaults = {};
+  walkSchema(configSchema, (leaf, keyPath) => setPath(defaults, keyPath, structuredClone(leaf.default)));
+  return defaults;
+}
+
+function parseEnvValue(leaf, raw, name) {
+  switch (leaf.type) {
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new Error(`${name} must be true or false, got "${raw}"`);
+    case 'number': {
+      const value = Number(raw);
+      if (raw.trim() === '' || Number.isNaN(value)) throw new Error(`${name} must be a number, got "${raw}"`);
+      return value;
+    }
+    case 'array':
+      return raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',').map(v => v.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(raw);
+      } catch {
+        throw new Error(`${name} must be JSON`);
+      }
+    default:
+      return raw;
+  }
+}
+
+// Copies a config file's values over the defaults, reporting keys the schema does not know
+function mergeFileConfig(target, source, schema, keyPath, errors) {
+  for (const [key, value] of Object.entries(source)) {
+    const node = schema[key];
+    const nodePath = [...keyPath, key];
+    if (!node) {
+      errors.push(`Unknown config key "${nodePath.join('.')}"`);
+    } else if (isLeaf(node)) {
+      setPath(target, nodePath, value);
+    } else if (isPlainObject(value)) {
+      mergeFileConfig(target, value, node, nodePath, errors);
+    } else {
+      errors.push(`"${nodePath.join('.')}" must be an object`);
+    }
+  }
+}
+
+function readConfigFile(filePath, errors) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!isPlainObject(parsed)) throw new Error('top level must be an object');
+    return parsed;
+  } catch (error) {
+    errors.push(`Could not read config file ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+function applyEnv(target, env, errors) {
+  const leavesByEnvName = new Map();
+  walkSchema(configSchema, (leaf, keyPath) => leavesByEnvName.set(toEnvName(keyPath), { leaf, keyPath }));
+
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === CONFIG_FILE_ENV) continue;
+    const entry = leavesByEnvName.get(name);
+    if (!entry) {
+      errors.push(`Unknown environment variable ${name}`);
+      continue;
+    }
+    try {
+      setPath(target, entry.keyPath, parseEnvValue(entry.leaf, raw, name));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // LOG_LEVEL predates the HYPER_INSTA_ variables and is still used by `npm run debug`
+  if (env.LOG_LEVEL && !env[toEnvName(['app', 'logLevel'])]) {
+    target.app.logLevel = env.LOG_LEVEL.toLowerCase();
+  }
+}
+
+function validate(config, errors) {
+  walkSchema(configSchema, (leaf, keyPath) => {
+    const key = keyPath.join('.');
+    const value = getPath(config, keyPath);
+
+    if (value === null || value === undefined) {
+      if (leaf.default !== null) errors.push(`"${key}" is missing`);
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== leaf.type) {
+      errors.push(`"${key}" must be of type ${leaf.type}, got ${actualType}`);
+      return;
+    }
+
+    if (leaf.type === 'string') {
+      if (value === '') {
+        if (leaf.required) errors.push(`"${key}" is required (set ${toEnvName(keyPath)})`);
+        return;
+      }
+      if (leaf.pattern && !leaf.pattern.test(value)) {
+        errors.push(`"${key}" is invalid${leaf.secret ? '' : ` ("${value}")`}: ${leaf.hint}`);
+      }
+      if (leaf.oneOf && !leaf.oneOf.includes(value)) {
+        errors.push(`"${key}" must be one of ${leaf.oneOf.join(', ')}, got "${value}"`);
+      }
+    }
+
+    if (leaf.type === 'number' && leaf.min !== undefined && value < leaf.min) {
+      errors.push(`"${key}" must be at least ${leaf.min}, got ${value}`);
+    }
+  });
+
+  const { prefixes } = config.commands;
+  if (Array.isArray(prefixes) && (prefixes.length === 0 || prefixes.some(prefix => typeof prefix !== 'string' || !prefix.trim() || /\s/.test(prefix)))) {
+    errors.push('"commands.prefixes" must list at least one prefix, each a non-empty string without spaces');
+  }
+
+  // Telegram settings only matter while the bridge is enabled
+  if (config.telegram.enabled) {
+    for (const key of ['botToken', 'chatId']) {
+      if (!config.telegram[key]) {
+        errors.push(`"telegram.${key}" is required while telegram.enabled is true (set ${toEnvName(['telegram', key])})`);
+      }
+    }
+    // Password logins may ask for a 2FA or challenge code, and only the admin's replies are accepted
+    if (config.instagram.password && !config.telegram.adminUserId) {
+      errors.push(`"telegram.adminUserId" is required to answer login codes while instagram.password is set (set ${toEnvName(['telegram', 'adminUserId'])})`);
+    }
+  }
+}
+
+/**
+ * Builds the runtime config from schema defaults, then the config file, then HYPER_INSTA_* variables.
+ * The file is HYPER_INSTA_CONFIG if set, otherwise ./config.json when it exists.
+ * @param {object} [options]
+ * @param {object} [options.env=process.env] - Environment to read variables from.
+ * @returns {object} The validated config.
+ * @throws {Error} Listing every problem found, one per line.
+ */
+export function loadConfig({ env = process.env } = {}) {
+  const errors = [];
+  const config = buildDefaults();
+
+  const filePath = env[CONFIG_FILE_ENV] || DEFAULT_CONFIG_FILE;
+  if (env[CONFIG_FILE_ENV] || fs.existsSync(filePath)) {
+    const fileConfig = readConfigFile(path.resolve(filePath), errors);
+    if (fileConfig) {
+      mergeFileConfig(config, fileConfig, configSchema, [], errors);
+    }
+  }
+
+  applyEnv(config, env, errors);
+  if (errors.length === 0) {
+    validate(config, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+ * Returns a copy of the config that is safe to show, with secrets masked.
+ * @param {object} config - The loaded config.
+ * @returns {object} The redacted copy.
+ */
+export function redactConfig(config) {
+  const redacted = structuredClone(config);
+  walkSchema(configSchema, (leaf, keyPath) => {
+    const value = getPath(redacted, keyPath);
+    if (leaf.secret && value) {
+      setPath(redacted, keyPath, '***');
+    } else if (leaf.type === 'object' && isPlainObject(value)) {
+      setPath(redacted, keyPath, redactObject(value));
+    }
+  });
+  return redacted;
+}
+
+// Free-form sections (proxy, module settings) are masked by key name
+function redactObject(value) {
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+    if (/pass|secret|token|key|uri/i.test(key) && entry) return [key, '***'];
+    return [key, isPlainObject(entry) ? redactObject(entry) : entry];
+  }));
+}
@@ -0,0 +1,150 @@
+// Standard five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in server time
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Impossible dates like "0 0 30 2 *" never match; give up after this many years instead of looping forever
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(field, raw, expression) {
+  const index = field.names?.indexOf(raw.toLowerCase()) ?? -1;
+  const value = index >= 0 ? index + field.min : Number(raw);
+  if ((index < 0 && !/^\d+$/.test(raw)) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} "${raw}" in cron expression "${expression}" (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseField(field, text, expression) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !range || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`Invalid ${field.name} "${part}" in cron expression "${expression}"`);
+      }
+      start = parseValue(field, from, expression);
+      // "5/15" runs from 5 to the end of the field, like "5-59/15"
+      end = to !== undefined ? parseValue(field, to, expression) : stepText !== undefined ? field.max : start;
+      if (end < start) {
+        throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`), lists (`1,15`) and
+ * month or weekday names (`jan`, `mon-fri`); Sunday is 0 or 7. The @yearly, @monthly, @weekly,
+ * @daily, @midnight and @hourly shortcuts are accepted too.
+ * @param {string} expression - E.g. "0 9 * * mon-fri".
+ * @returns {object} { expression, minute, hour, dayOfMonth, month, dayOfWeek } with a Set per field.
+ * @throws {Error} If the expression is invalid.
+ */
+export function parseCron(expression) {
+  const source = expression.trim().toLowerCase();
+  const fields = (ALIASES[source] || source).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" needs 5 fields (minute hour day month weekday), got ${fields.length}`);
+  }
+
+  const cron = { expression: expression.trim() };
+  FIELDS.forEach((field, index) => {
+    cron[field.name] = parseField(field, fields[index], expression);
+  });
+
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.add(0);
+  }
+  // As in classic cron, a run needs either day field to match when both are restricted (do not start with *)
+  cron.anyDay = !fields[2].startsWith('*') && !fields[4].startsWith('*');
+  return cron;
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Finds the next time a cron expression fires.
+ * @param {object|string} cron - A parsed expression from parseCron(), or an expression.
+ * @param {Date} [after] - Start searching after this time.
+ * @returns {Date|null} The first matching minute strictly after `after`, or null if the expression never fires.
+ */
+export function nextCronRun(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Counts how often a cron expression fired in a time span.
+ * @param {object|string} cron - A parsed expression from parseCron(), or an expression.
+ * @param {Date} from - Start of the span, exclusive.
+ * @param {Date} to - End of the span, inclusive.
+ * @param {number} [max=Infinity] - Stop counting here.
+ * @returns {number} The number of runs, at most `max`.
+ */
+export function countCronRuns(cron, from, to, max = Infinity) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  let count = 0;
+  let run = nextCronRun(parsed, from);
+  while (run && run <= to && count < max) {
+    count++;
+    run = nextCronRun(parsed, run);
+  }
+  return count;
+}
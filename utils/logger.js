@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import { config } from '../config.js';
+import { LOG_LEVELS } from './config-loader.js';
+
+const LEVEL_ICONS = {
+  error: '❌',
+  warn: '⚠️ ',
+  info: 'ℹ️ ',
+  debug: '🐛',
+  trace: '🔍'
+};
+
+const RECENT_ENTRIES = 500;
+const MAX_ARG_LENGTH = 4000;
+const SENSITIVE_KEY = /token|password|passwd|secret|cookie|authorization|session|csrf/i;
+
+// Credentials that show up inside otherwise harmless strings (URLs, headers, error messages)
+const SENSITIVE_PATTERNS = [
+  [/\b\d{6,}:[\w-]{30,}\b/g, '***'], // Telegram bot tokens
+  [/(mongodb(?:\+srv)?:\/\/)[^@/\s]+@/g, '$1***@'],
+  [/\b(sessionid|csrftoken|ds_user_id|rur|mid)=[^;\s]+/gi, '$1=***'],
+  [/\b(Bearer|IGT:2:)\s*[\w.=:-]+/g, '$1 ***']
+];
+
+function redactString(text) {
+  return SENSITIVE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function redactValue(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+  if (Array.isArray(value)) return value.map(entry => redactValue(entry, seen));
+
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+    key,
+    SENSITIVE_KEY.test(key) && entry ? '***' : redactValue(entry, seen)
+  ]));
+}
+
+function truncate(text) {
+  return text.length > MAX_ARG_LENGTH ? `${text.slice(0, MAX_ARG_LENGTH)}… (${text.length - MAX_ARG_LENGTH} more chars)` : text;
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return arg;
+  // Errors were flattened by redactValue; the stack stays in JSON output only
+  if (arg?.stack && arg.message !== undefined) return `${arg.name}: ${arg.message}`;
+  return truncate(util.inspect(arg, { depth: 6, breakLength: Infinity }));
+}
+
+/**
+ * Appends lines to a log file and rotates it by size ('size') or by day ('daily').
+ * Size rotation keeps app.log.1 … app.log.N; daily rotation keeps app.log.YYYY-MM-DD.
+ */
+class RotatingFile {
+  constructor({ filePath, rotate = 'size', maxSizeBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.filePath = path.resolve(filePath);
+    this.rotate = rotate;
+    this.maxSizeBytes = maxSizeBytes;
+    this.maxFiles = maxFiles;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const stats = fs.existsSync(this.filePath) ? fs.statSync(this.filePath) : null;
+    this.size = stats?.size || 0;
+    this.day = (stats?.mtime || new Date()).toISOString().slice(0, 10);
+  }
+
+  write(line) {
+    const today = new Date().toISOString().slice(0, 10);
+    const bytes = Buffer.byteLength(line);
+    if (this.rotate === 'daily' ? today !== this.day : this.size + bytes > this.maxSizeBytes) {
+      this.rotateFiles();
+      this.day = today;
+    }
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+
+  rotateFiles() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    if (this.rotate === 'daily') {
+      fs.renameSync(this.filePath, `${this.filePath}.${this.day}`);
+      const base = path.basename(this.filePath);
+      const dated = fs.readdirSync(path.dirname(this.filePath))
+        .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name.slice(base.length + 1)) && name.startsWith(`${base}.`))
+        .sort();
+      for (const name of dated.slice(0, Math.max(0, dated.length - this.maxFiles))) {
+        fs.rmSync(path.join(path.dirname(this.filePath), name), { force: true });
+      }
+    } else {
+      fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.filePath}.${i}`)) {
+          fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    }
+    this.size = 0;
+  }
+}
+
+/**
+ * Leveled logger writing pretty or JSON-lines output to the console and optionally a rotating file.
+ * Child loggers share the parent's output and add their context (threadId, module, command…) to every entry.
+ */
+class Logger {
+  constructor(sink, context = {}) {
+    this.sink = sink;
+    this.context = context;
+  }
+
+  child(context) {
+    return new Logger(this.sink, { ...this.context, ...context });
+  }
+
+  isLevelEnabled(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    return index !== -1 && index <= LOG_LEVELS.indexOf(this.sink.level);
+  }
+
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown log level "${level}"`);
+    this.sink.level = level;
+  }
+
+  error(message, ...args) { this.write('error', message, args); }
+  warn(message, ...args) { this.write('warn', message, args); }
+  info(message, ...args) { this.write('info', message, args); }
+  debug(message, ...args) { this.write('debug', message, args); }
+  trace(message, ...args) { this.write('trace', message, args); }
+
+  // Arguments are only redacted and serialized when the level is enabled
+  write(level, message, args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(message)),
+      ...this.context
+    };
+    const redactedArgs = args.map(arg => redactValue(arg));
+    if (redactedArgs.length > 0) {
+      entry.args = redactedArgs;
+    }
+
+    this.sink.recent.push(entry);
+    if (this.sink.recent.length > RECENT_ENTRIES) {
+      this.sink.recent.shift();
+    }
+
+    const json = JSON.stringify(entry);
+    const line = this.sink.format === 'json' ? json : this.formatPretty(entry);
+    (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(line);
+    if (this.sink.file) {
+      try {
+        this.sink.file.write(`${json}\n`);
+      } catch (error) {
+        console.error(`[${entry.time}] ❌ Could not write log file: ${error.message}`);
+      }
+    }
+  }
+
+  formatPretty(entry) {
+    const { time, level, msg, args = [], ...context } = entry;
+    const contextText = Object.entries(context).map(([key, value]) => `${key}=${value}`).join(' ');
+    return [
+      `[${time}] ${LEVEL_ICONS[level]} ${contextText ? `[${contextText}] ` : ''}${msg}`,
+      ...args.map(formatArg)
+    ].join(' ');
+  }
+
+  /**
+   * Returns the most recent entries, oldest first.
+   * @param {object} [options]
+   * @param {number} [options.count=20] - Maximum number of entries.
+   * @param {string} [options.level] - Only entries at this level or more severe.
+   */
+  getRecent({ count = 20, level } = {}) {
+    const maxIndex = level ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.length - 1;
+    return this.sink.recent
+      .filter(entry => LOG_LEVELS.indexOf(entry.level) <= maxIndex)
+      .slice(-count);
+  }
+}
+
+export function createLogger({ level = 'info', format = 'pretty', file = null } = {}) {
+  return new Logger({
+    level,
+    format,
+    file: file?.filePath ? new RotatingFile(file) : null,
+    recent: []
+  });
+}
+
+export const logger = createLogger({
+  level: config.app.logLevel,
+  format: config.app.logFormat,
+  file: {
+    filePath: config.app.logFile,
+    rotate: config.app.logRotate,
+    maxSizeBytes: config.app.logMaxSizeMb * 1024 * 1024,
+    maxFiles: config.app.logMaxFiles
+  }
+});
@@ -1,26 +1,9 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { spawn } from 'child_process';
 
-// Simple logger utility
-export const logger = {
-  info: (message, ...args) => {
-    console.log(`[${new Date().toISOString()}] ℹ️  ${message}`, ...args);
-  },
-  
-  error: (message, ...args) => {
-    console.error(`[${new Date().toISOString()}] ❌ ${message}`, ...args);
-  },
-  
-  warn: (message, ...args) => {
-    console.warn(`[${new Date().toISOString()}] ⚠️  ${message}`, ...args);
-  },
-  
-  debug: (message, ...args) => {
-    if (process.env.LOG_LEVEL === 'debug' || true) { // Always show debug for troubleshooting
-      console.log(`[${new Date().toISOString()}] 🐛 ${message}`, ...args);
-    }
-  }
-};
+// Shared logger, see utils/logger.js
+export { logger } from './logger.js';
 
 // File utilities
 export const fileUtils = {
@@ -75,6 +58,56 @@ export const messageUtils = {
   }
 };
 
+// Media utilities (require ffmpeg on PATH)
+export const mediaUtils = {
+  runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', ...args]);
+      let stderr = '';
+      ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', code => {
+        if (code === 0) resolve();
+        else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      });
+    });
+  },
+
+  async toJpeg(inputPath) {
+    const outputPath = `${inputPath}.jpg`;
+    await this.runFfmpeg(['-i', inputPath, '-frames:v', '1', '-q:v', '2', outputPath]);
+    return outputPath;
+  },
+
+  async toMp4Video(inputPath) {
+    const outputPath = `${inputPath}.mp4`;
+    await this.runFfmpeg([
+      '-i', inputPath,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      outputPath
+    ]);
+    return outputPath;
+  },
+
+  async toM4aVoice(inputPath, { simulateMobile = false } = {}) {
+    const outputPath = `${inputPath}.m4a`;
+    // The Instagram app records mono AAC-LC at 44.1kHz; mimic it when asked to
+    const audioArgs = simulateMobile
+      ? ['-ac', '1', '-ar', '44100', '-c:a', 'aac', '-profile:a', 'aac_low', '-b:a', '64k']
+      : ['-c:a', 'aac'];
+    await this.runFfmpeg(['-i', inputPath, '-vn', ...audioArgs, '-movflags', '+faststart', outputPath]);
+    return outputPath;
+  },
+
+  waveform(durationSeconds, samplesPerSecond = 10) {
+    const samples = Math.max(20, Math.round((durationSeconds || 2) * samplesPerSecond));
+    return Array.from({ length: samples }, () => Math.round((0.2 + Math.random() * 0.8) * 100) / 100);
+  }
+};
+
 // Random utilities
 export const randomUtils = {
   choice(array) {